@@ -1,16 +1,21 @@
 import { useState, useEffect } from 'react';
 import Home from './pages/Home';
 import Lobby from './pages/Lobby';
-import ImposterGame from './pages/ImposterGame';
-import ConnectionsGame from './pages/ConnectionsGame';
+import gameScreens from './pages/gameScreens';
+import ReplayViewer from './pages/ReplayViewer';
 import { SocketProvider, useSocket } from './context/SocketContext';
 import { enableCustomCursor, updateCursorColor } from './utils/cursor';
 
 function AppContent() {
-  const { socket } = useSocket();
-  const [screen, setScreen] = useState('home'); // home, lobby, imposter, connections
+  const { socket, restarting } = useSocket();
+  const [screen, setScreen] = useState('home'); // home, lobby, replay, or a game id (see gameScreens)
   const [lobbyData, setLobbyData] = useState(null);
   const [reconnecting, setReconnecting] = useState(false);
+  const [notice, setNotice] = useState(null); // Message shown on Home after being sent there by the server
+  const [chatMessages, setChatMessages] = useState([]); // Lobby chat, kept here so it survives screen changes
+  const [announcement, setAnnouncement] = useState(null); // Server-wide message shown as a banner
+  const [idleWarning, setIdleWarning] = useState(null); // Set while our lobby is about to be closed for inactivity
+  const [replay, setReplay] = useState(null); // Recorded game shown on the replay screen
 
   // Enable custom cursor on mount
   useEffect(() => {
@@ -33,11 +38,120 @@ function AppContent() {
     setScreen('lobby');
   };
 
+  // Replays open from Home (a saved file) or a game's end screen (straight from the server)
+  const watchReplay = (data) => {
+    setReplay(data);
+    setScreen('replay');
+  };
+
+  const closeReplay = () => {
+    setReplay(null);
+    // The game we came from has ended by now, so go back to its lobby
+    setScreen(lobbyData ? 'lobby' : 'home');
+  };
+
   const goHome = () => {
     setScreen('home');
     setLobbyData(null);
+    setNotice(null);
+    setChatMessages([]);
+    setIdleWarning(null);
   };
 
+  // Host kicked or banned us (or we lost our session) - back to Home with an explanation
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on('kicked', (data) => {
+      console.log('🚪 Removed from lobby:', data);
+      setScreen('home');
+      setLobbyData(null);
+      setNotice(data.message);
+      setChatMessages([]);
+      setIdleWarning(null);
+    });
+
+    // Admin closed the lobby, or it was idle for too long
+    socket.on('lobby_closed', (data) => {
+      console.log('🚪 Lobby closed:', data);
+      setScreen('home');
+      setLobbyData(null);
+      setNotice(data.message);
+      setChatMessages([]);
+      setIdleWarning(null);
+    });
+
+    // Our session was taken over or its token didn't check out
+    socket.on('session_invalid', (data) => {
+      setScreen('home');
+      setLobbyData(null);
+      setNotice(data.message);
+      setChatMessages([]);
+      setIdleWarning(null);
+    });
+
+    return () => {
+      socket.off('kicked');
+      socket.off('lobby_closed');
+      socket.off('session_invalid');
+    };
+  }, [socket]);
+
+  // Admin announcements and force-ended games
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on('announcement', (data) => {
+      setAnnouncement(data.message);
+    });
+
+    socket.on('game_aborted', (data) => {
+      setAnnouncement(data.message);
+      setScreen('lobby');
+    });
+
+    return () => {
+      socket.off('announcement');
+      socket.off('game_aborted');
+    };
+  }, [socket]);
+
+  // The server closes lobbies nobody is using; any activity in the lobby cancels the warning
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on('lobby_idle_warning', (data) => {
+      setIdleWarning({ minutes: Math.max(1, Math.round((data.expiresAt - Date.now()) / 60000)) });
+    });
+
+    socket.on('lobby_idle_cancelled', () => {
+      setIdleWarning(null);
+    });
+
+    return () => {
+      socket.off('lobby_idle_warning');
+      socket.off('lobby_idle_cancelled');
+    };
+  }, [socket]);
+
+  // Lobby chat - full history arrives on join/reconnect, then one message at a time
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on('chat_history', (data) => {
+      setChatMessages(data.messages);
+    });
+
+    socket.on('chat_message', (message) => {
+      setChatMessages(prev => [...prev, message]);
+    });
+
+    return () => {
+      socket.off('chat_history');
+      socket.off('chat_message');
+    };
+  }, [socket]);
+
   // Listen for lobby updates to keep lobbyData in sync
   useEffect(() => {
     if (!socket) return;
@@ -83,6 +197,8 @@ function AppContent() {
     };
   }, [socket]);
 
+  const GameScreen = Object.hasOwn(gameScreens, screen) ? gameScreens[screen] : null;
+
   return (
     <div className="container">
       {reconnecting && (
@@ -94,12 +210,32 @@ function AppContent() {
         </div>
       )}
 
-      {screen === 'home' && <Home onJoinLobby={goToLobby} />}
+      {announcement && !restarting && (
+        <div className="announcement-banner">
+          <p>📢 {announcement}</p>
+          <button onClick={() => setAnnouncement(null)} title="Dismiss">✕</button>
+        </div>
+      )}
+
+      {restarting && (
+        <div className="announcement-banner">
+          <p>🔄 {restarting.message}. Reconnecting automatically...</p>
+        </div>
+      )}
+
+      {idleWarning && !announcement && !restarting && (
+        <div className="announcement-banner">
+          <p>⏳ This lobby will close in about {idleWarning.minutes} minute{idleWarning.minutes === 1 ? '' : 's'} due to inactivity. Do something to keep it open!</p>
+          <button onClick={() => setIdleWarning(null)} title="Dismiss">✕</button>
+        </div>
+      )}
+
+      {screen === 'home' && <Home onJoinLobby={goToLobby} onWatchReplay={watchReplay} notice={notice} />}
       {screen === 'lobby' && (
-        <Lobby lobbyData={lobbyData} onStartGame={startGame} onLeave={goHome} />
+        <Lobby lobbyData={lobbyData} chatMessages={chatMessages} onStartGame={startGame} onLeave={goHome} />
       )}
-      {screen === 'imposter' && <ImposterGame onEnd={returnToLobby} onLeave={goHome} lobbyData={lobbyData} />}
-      {screen === 'connections' && <ConnectionsGame onEnd={returnToLobby} onLeave={goHome} lobbyData={lobbyData} />}
+      {GameScreen && <GameScreen onEnd={returnToLobby} onLeave={goHome} onWatchReplay={watchReplay} lobbyData={lobbyData} chatMessages={chatMessages} />}
+      {screen === 'replay' && replay && <ReplayViewer replay={replay} onClose={closeReplay} />}
     </div>
   );
 }
@@ -0,0 +1,105 @@
+import { useState, useRef, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { useSocket } from '../context/SocketContext';
+import './ChatPanel.css';
+
+const MAX_MESSAGE_LENGTH = 300;
+
+function ChatPanel({ messages }) {
+  const { socket, playerId: myPlayerId } = useSocket();
+  const [isOpen, setIsOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+  const [seenCount, setSeenCount] = useState(messages.length);
+  const messagesRef = useRef(null);
+
+  // Everything is read while the panel is open
+  useEffect(() => {
+    if (isOpen) {
+      setSeenCount(messages.length);
+    }
+  }, [isOpen, messages.length]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (isOpen && messagesRef.current) {
+      messagesRef.current.scrollTop = messagesRef.current.scrollHeight;
+    }
+  }, [isOpen, messages]);
+
+  const sendMessage = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    socket.emit('send_chat_message', { text: text.trim() }, (response) => {
+      if (response.success) {
+        setText('');
+        setError('');
+      } else {
+        setError(response.error);
+      }
+    });
+  };
+
+  const unreadCount = Math.max(0, messages.length - seenCount);
+
+  // Rendered into <body> so the panel stays fixed to the viewport: the page
+  // cards use backdrop-filter, which would otherwise position it relative to the card
+  if (!isOpen) {
+    return createPortal(
+      <button className="chat-toggle" onClick={() => setIsOpen(true)}>
+        💬 Chat
+        {unreadCount > 0 && <span className="chat-unread">{unreadCount}</span>}
+      </button>,
+      document.body
+    );
+  }
+
+  return createPortal(
+    <div className="chat-panel">
+      <div className="chat-header">
+        <span>💬 Chat</span>
+        <button onClick={() => setIsOpen(false)} className="chat-close">
+          ✕
+        </button>
+      </div>
+
+      <div className="chat-messages" ref={messagesRef}>
+        {messages.length === 0 ? (
+          <p className="chat-empty">No messages yet. Say hi!</p>
+        ) : (
+          messages.map(message => (
+            <div
+              key={message.id}
+              className={`chat-message ${message.playerId === myPlayerId ? 'own' : ''}`}
+            >
+              <span className="chat-author" style={{ color: message.playerColor }}>
+                {message.playerName}
+              </span>
+              <span className="chat-text">{message.text}</span>
+            </div>
+          ))
+        )}
+      </div>
+
+      {error && <div className="chat-error">{error}</div>}
+
+      <form className="chat-input" onSubmit={sendMessage}>
+        <input
+          type="text"
+          placeholder="Type a message..."
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          maxLength={MAX_MESSAGE_LENGTH}
+          autoFocus
+        />
+        <button type="submit" disabled={!text.trim()}>
+          Send
+        </button>
+      </form>
+    </div>,
+    document.body
+  );
+}
+
+export default ChatPanel;
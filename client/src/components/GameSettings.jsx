@@ -0,0 +1,53 @@
+import Dropdown from './Dropdown';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Dropdown option for one allowed value of a setting (see the settings schema in
+// server/src/games/registry.js for unit and belowPlayerCount)
+function toOption(setting, value, playerCount) {
+  const label = setting.type === 'enum' ? capitalize(value) : `${value}${setting.unit ? ` ${setting.unit}` : ''}`;
+
+  if (setting.belowPlayerCount && value >= playerCount) {
+    return { value, label: `${label} (need more players)`, disabled: true };
+  }
+  return { value, label };
+}
+
+// Host controls for the selected game, built from the settings schema the
+// server sends with get_game_list
+function GameSettings({ schema, settings, playerCount, onChange }) {
+  const visible = Object.entries(schema).filter(([, setting]) => !setting.showIf || settings[setting.showIf]);
+  if (visible.length === 0) return null;
+
+  return (
+    <div className="settings-section">
+      <h2>Game Settings</h2>
+
+      {visible.map(([key, setting]) => setting.type === 'boolean' ? (
+        <div key={key} className="setting checkbox">
+          <label className="clickable">
+            <input
+              type="checkbox"
+              checked={!!settings[key]}
+              onChange={(e) => onChange(key, e.target.checked)}
+            />
+            {setting.label}
+          </label>
+        </div>
+      ) : (
+        <div key={key} className="setting">
+          <label>
+            {setting.label}:
+            <Dropdown
+              value={settings[key]}
+              onChange={(value) => onChange(key, value)}
+              options={(setting.options || []).map(value => toOption(setting, value, playerCount))}
+            />
+          </label>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default GameSettings;
@@ -0,0 +1,43 @@
+import { useState } from 'react';
+import { fetchReplay, downloadReplay } from '../utils/replays';
+import './ReplayActions.css';
+
+// End-screen buttons to watch the finished game's replay or save it as JSON
+function ReplayActions({ gameId, onWatch }) {
+  const [status, setStatus] = useState('idle'); // idle, loading, error
+  const [error, setError] = useState('');
+
+  if (!gameId) return null;
+
+  const run = async (action) => {
+    setStatus('loading');
+    try {
+      await action();
+      setStatus('idle');
+    } catch (err) {
+      setError(err.message);
+      setStatus('error');
+    }
+  };
+
+  const watch = () => run(async () => onWatch(await fetchReplay(gameId)));
+  const download = () => run(() => downloadReplay(gameId));
+
+  return (
+    <div className="replay-actions">
+      <div className="replay-actions-buttons">
+        {onWatch && (
+          <button onClick={watch} disabled={status === 'loading'}>
+            🎬 Watch Replay
+          </button>
+        )}
+        <button onClick={download} disabled={status === 'loading'}>
+          ⬇️ Download Replay
+        </button>
+      </div>
+      {status === 'error' && <p className="replay-actions-error">{error}</p>}
+    </div>
+  );
+}
+
+export default ReplayActions;
@@ -1,6 +1,7 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
-import { getSessionId } from '../utils/sessionManager';
+import { getSessionToken, saveSessionToken, clearSession } from '../utils/sessionManager';
+import { syncClock } from '../utils/serverClock';
 
 const SocketContext = createContext();
 
@@ -15,29 +16,48 @@ export const useSocket = () => {
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
+  // Our player id in the current lobby - stable across reconnects, unlike socket.id
+  const [playerId, setPlayerId] = useState(null);
+  // Set from server_restarting until we're connected again
+  const [restarting, setRestarting] = useState(null);
 
   useEffect(() => {
     const serverUrl = import.meta.env.VITE_SERVER_URL || 'http://localhost:3000';
-    const sessionId = getSessionId();
     console.log('Attempting to connect to:', serverUrl);
 
     const newSocket = io(serverUrl, {
       autoConnect: true,
       transports: ['websocket', 'polling'],
-      auth: {
-        sessionId
-      }
+      // Read on every (re)connect so the latest rotated token is sent
+      auth: (cb) => cb({ sessionToken: getSessionToken() })
     });
 
+    // Set once the server warns it's going down, so we know to come back
+    let restartPending = false;
+
     newSocket.on('connect', () => {
       console.log('✅ Connected to server:', serverUrl);
       console.log('Socket ID:', newSocket.id);
       setConnected(true);
+      restartPending = false;
+      setRestarting(null);
+      syncClock(newSocket);
     });
 
-    newSocket.on('disconnect', () => {
-      console.log('❌ Disconnected from server');
+    newSocket.on('disconnect', (reason) => {
+      console.log('❌ Disconnected from server:', reason);
       setConnected(false);
+
+      // Socket.IO doesn't retry on its own after a server-side disconnect
+      if (restartPending && reason === 'io server disconnect') {
+        newSocket.connect();
+      }
+    });
+
+    newSocket.on('server_restarting', (data) => {
+      console.log('🔄 Server restarting:', data);
+      restartPending = true;
+      setRestarting(data);
     });
 
     newSocket.on('connect_error', (error) => {
@@ -54,6 +74,21 @@ export const SocketProvider = ({ children }) => {
       console.log('⏰ Session expired - creating new session');
     });
 
+    newSocket.on('session_token', (data) => {
+      saveSessionToken(data.token);
+      setPlayerId(data.playerId);
+    });
+
+    newSocket.on('session_invalid', (data) => {
+      console.warn('🔒 Session rejected:', data.reason);
+      clearSession();
+      setPlayerId(null);
+    });
+
+    newSocket.on('rate_limited', (data) => {
+      console.warn('🚫 Disconnected for sending too many requests:', data.error);
+    });
+
     setSocket(newSocket);
 
     return () => {
@@ -62,8 +97,17 @@ export const SocketProvider = ({ children }) => {
   }, []);
 
   return (
-    <SocketContext.Provider value={{ socket, connected }}>
+    <SocketContext.Provider value={{ socket, connected, playerId, restarting }}>
       {children}
     </SocketContext.Provider>
   );
 };
+
+// Stands in for SocketProvider while a recorded game is replayed, so the game
+// screens read recorded events from a replay socket (see utils/replaySocket)
+// and see the game as `playerId` did
+export const ReplaySocketProvider = ({ socket, playerId, children }) => (
+  <SocketContext.Provider value={{ socket, connected: true, playerId, restarting: null }}>
+    {children}
+  </SocketContext.Provider>
+);
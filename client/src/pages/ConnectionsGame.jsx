@@ -2,6 +2,8 @@ import { useEffect, useState, useRef } from 'react';
 import { useSocket } from '../context/SocketContext';
 import { updateCursorColor } from '../utils/cursor';
 import { clearSession } from '../utils/sessionManager';
+import ChatPanel from '../components/ChatPanel';
+import ReplayActions from '../components/ReplayActions';
 import './ConnectionsGame.css';
 
 const COLORS = ['#f59e0b', '#10b981', '#3b82f6', '#8b5cf6'];
@@ -9,8 +11,9 @@ const DIFFICULTY_NAMES = ['Easy', 'Medium', 'Hard', 'Tricky'];
 
 const PLAYER_COLORS = ['#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ef4444', '#ec4899', '#14b8a6', '#f97316'];
 
-function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
-  const { socket } = useSocket();
+// readOnly renders the game for the replay viewer: no input, chat or leave/pause controls
+function ConnectionsGame({ onEnd, onLeave, onWatchReplay, lobbyData, chatMessages, readOnly = false }) {
+  const { socket, playerId: myPlayerId } = useSocket();
   const boardRef = useRef(null);
   const [words, setWords] = useState([]);
 
@@ -31,8 +34,11 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
   const [players, setPlayers] = useState([]);
   const [playerScores, setPlayerScores] = useState(new Map()); // playerId -> score
   const [finalScores, setFinalScores] = useState([]);
+  const [replayId, setReplayId] = useState(null); // gameId of the finished game, for its replay
   const [eventLog, setEventLog] = useState([]);
   const [showLeaveConfirm, setShowLeaveConfirm] = useState(false);
+  const isHost = lobbyData?.host === myPlayerId;
+  const isPaused = !!lobbyData?.paused;
 
   // Initialize players from lobby data
   useEffect(() => {
@@ -44,12 +50,12 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
   // Update cursor color based on player's color
   useEffect(() => {
     if (socket && players.length > 0) {
-      const currentPlayer = players.find(p => p.id === socket.id);
+      const currentPlayer = players.find(p => p.id === myPlayerId);
       if (currentPlayer?.color) {
         updateCursorColor(currentPlayer.color);
       }
     }
-  }, [socket, players]);
+  }, [myPlayerId, players]);
 
   useEffect(() => {
     if (!socket) return;
@@ -85,7 +91,7 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
 
     socket.on('cursor_update', (data) => {
       // Validate data before updating state
-      if (data.playerId !== socket.id &&
+      if (data.playerId !== myPlayerId &&
           typeof data.x === 'number' &&
           typeof data.y === 'number' &&
           typeof data.playerName === 'string') {
@@ -107,7 +113,7 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
     });
 
     socket.on('selection_update', (data) => {
-      if (data.playerId !== socket.id) {
+      if (data.playerId !== myPlayerId) {
         setOtherSelections(prev => {
           const updated = new Map(prev);
           updated.set(data.playerId, new Set(data.selections));
@@ -139,11 +145,6 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
       addEventLog(`${data.usedBy} used a hint: ${data.categoryName}`, 'hint');
     });
 
-    socket.on('sync_hints', (data) => {
-      setHintsUsed(data.hintsUsed);
-      setRevealedHints(data.revealedHints || []);
-    });
-
     socket.on('score_update', (data) => {
       setPlayerScores(prev => {
         const updated = new Map(prev);
@@ -155,6 +156,7 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
     socket.on('connections_end', (data) => {
       setGameStatus(data.won ? 'won' : 'lost');
       setAllCategories(data.categories);
+      setReplayId(data.gameId);
       if (data.scores) {
         setFinalScores(data.scores);
       }
@@ -174,6 +176,49 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
       addEventLog(`${data.playerName} left the game`, 'error');
     });
 
+    socket.on('player_renamed', (data) => {
+      addEventLog(`${data.oldName} is now ${data.newName}`, 'info');
+    });
+
+    socket.on('player_kicked', (data) => {
+      showMessage(`${data.playerName} was ${data.banned ? 'banned' : 'kicked'} by the host`, 'error');
+      addEventLog(`${data.playerName} was ${data.banned ? 'banned' : 'kicked'} by the host`, 'error');
+    });
+
+    socket.on('game_paused', () => {
+      addEventLog('The host paused the game', 'info');
+    });
+
+    socket.on('game_resumed', () => {
+      addEventLog('The host resumed the game', 'info');
+    });
+
+    // Full state for late joiners and reconnects, replacing whatever we had
+    socket.on('game_state_sync', (data) => {
+      setWords(data.words);
+      setMaxMistakes(data.maxMistakes);
+      setMaxHints(data.maxHints);
+      setMistakeCount(data.mistakeCount);
+      setHintsUsed(data.hintsUsed);
+      setRevealedHints(data.revealedHints);
+      setSolvedCategories(data.solvedCategories);
+      setMySelections(new Set(data.mySelections));
+      setOtherSelections(new Map(data.otherSelections.map(s => [s.playerId, new Set(s.selections)])));
+      setPlayerScores(new Map(data.scores.map(s => [s.playerId, s.score])));
+      setPlayers(data.players);
+      setGameStatus(data.phase);
+      if (data.categories) {
+        setAllCategories(data.categories);
+        setFinalScores([...data.scores].sort((a, b) => b.score - a.score));
+      }
+      setLoading(false);
+
+      addEventLog('Joined the game in progress', 'info');
+    });
+
+    // Listeners are in place - catch up if the game is already running
+    socket.emit('request_game_state', {});
+
     return () => {
       socket.off('lobby_update');
       socket.off('connections_start');
@@ -183,13 +228,17 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
       socket.off('category_solved');
       socket.off('mistake_made');
       socket.off('hint_revealed');
-      socket.off('sync_hints');
       socket.off('score_update');
       socket.off('connections_end');
       socket.off('words_shuffled');
       socket.off('player_left_game');
+      socket.off('player_kicked');
+      socket.off('player_renamed');
+      socket.off('game_paused');
+      socket.off('game_resumed');
+      socket.off('game_state_sync');
     };
-  }, [socket]);
+  }, [socket, myPlayerId]);
 
   // Send cursor position updates
   useEffect(() => {
@@ -235,7 +284,7 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
   };
 
   const toggleWord = (word) => {
-    if (gameStatus !== 'playing') return;
+    if (readOnly || gameStatus !== 'playing') return;
 
     const newSelections = new Set(mySelections);
 
@@ -275,6 +324,15 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
     socket.emit('use_hint');
   };
 
+  // Host only - Connections has no timers, so pausing just makes the server ignore moves until resumed
+  const setPaused = (paused) => {
+    socket.emit(paused ? 'pause_game' : 'resume_game', {}, (response) => {
+      if (!response.success) {
+        showMessage(response.error, 'error');
+      }
+    });
+  };
+
   const handleLeaveGame = () => {
     socket.emit('leave_game');
     clearSession();
@@ -300,7 +358,7 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
 
     // Check if current player selected it
     if (mySelections.has(word)) {
-      playerIds.push(socket.id);
+      playerIds.push(myPlayerId);
     }
 
     // Check other players
@@ -353,7 +411,14 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
           ))}
         </div>
 
-        <button onClick={onEnd}>Return to Home</button>
+        {!readOnly && (
+          <>
+            <ReplayActions gameId={replayId} onWatch={onWatchReplay} />
+            <button onClick={onEnd}>Return to Home</button>
+          </>
+        )}
+
+        {!readOnly && <ChatPanel messages={chatMessages} />}
       </div>
     );
   }
@@ -372,6 +437,25 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
 
   return (
     <div className={`card connections-game ${gameStatus === 'playing' ? 'playing' : ''}`}>
+      {isPaused && !showLeaveConfirm && (
+        <div className="confirm-overlay">
+          <div className="confirm-dialog">
+            <h2>⏸️ Game Paused</h2>
+            <p>{isHost ? 'Nobody can select or submit words until you resume.' : 'Waiting for the host to resume the game...'}</p>
+            <div className="confirm-buttons">
+              {isHost && (
+                <button onClick={() => setPaused(false)}>
+                  Resume
+                </button>
+              )}
+              <button onClick={() => setShowLeaveConfirm(true)} className="leave-button">
+                Leave Game
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {showLeaveConfirm && (
         <div className="confirm-overlay">
           <div className="confirm-dialog">
@@ -500,7 +584,7 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
               <div className="player-info">
                 <span className="player-name">
                   {player.name}
-                  {player.id === socket.id && <span className="player-you"> (You)</span>}
+                  {player.id === myPlayerId && <span className="player-you"> (You)</span>}
                 </span>
                 <span className="player-score">{playerScores.get(player.id) || 0} pts</span>
               </div>
@@ -523,28 +607,37 @@ function ConnectionsGame({ onEnd, onLeave, lobbyData }) {
         </div>
       </div>
 
-      <div className="controls">
-        <button onClick={shuffle} className="secondary">
-          Shuffle
-        </button>
-        <button onClick={deselectAll} disabled={mySelections.size === 0} className="secondary">
-          Deselect All
-        </button>
-        <button onClick={useHint} disabled={hintsUsed >= maxHints} className="hint-button">
-          💡 Hint ({maxHints - hintsUsed} left)
-        </button>
-        <button onClick={submitGroup} disabled={mySelections.size !== 4}>
-          Submit
-        </button>
-        <button onClick={() => setShowLeaveConfirm(true)} className="leave-button">
-          Leave Game
-        </button>
-      </div>
+      {!readOnly && (
+        <div className="controls">
+          <button onClick={shuffle} className="secondary">
+            Shuffle
+          </button>
+          <button onClick={deselectAll} disabled={mySelections.size === 0} className="secondary">
+            Deselect All
+          </button>
+          <button onClick={useHint} disabled={hintsUsed >= maxHints} className="hint-button">
+            💡 Hint ({maxHints - hintsUsed} left)
+          </button>
+          <button onClick={submitGroup} disabled={mySelections.size !== 4}>
+            Submit
+          </button>
+          {isHost && (
+            <button onClick={() => setPaused(true)} disabled={isPaused} className="secondary">
+              ⏸️ Pause
+            </button>
+          )}
+          <button onClick={() => setShowLeaveConfirm(true)} className="leave-button">
+            Leave Game
+          </button>
+        </div>
+      )}
 
       <div className="instructions">
         <p>Find groups of four words that share something in common.</p>
         <p>Work together with your friends - you can see each other's cursors and selections!</p>
       </div>
+
+      {!readOnly && <ChatPanel messages={chatMessages} />}
     </div>
   );
 }
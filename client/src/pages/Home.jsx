@@ -1,15 +1,20 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useSocket } from '../context/SocketContext';
+import { readReplayFile } from '../utils/replays';
 import './Home.css';
 
-function Home({ onJoinLobby }) {
+function Home({ onJoinLobby, onWatchReplay, notice }) {
   const { socket, connected } = useSocket();
   const [playerName, setPlayerName] = useState('');
   const [lobbyCode, setLobbyCode] = useState('');
-  const [error, setError] = useState('');
+  const [error, setError] = useState(notice || '');
   const [loading, setLoading] = useState(false);
   const [lobbyList, setLobbyList] = useState([]);
   const [showLobbyList, setShowLobbyList] = useState(false);
+  const [passwordPrompt, setPasswordPrompt] = useState(null); // lobby code awaiting a password
+  const [lobbyPassword, setLobbyPassword] = useState('');
+  const [waitlist, setWaitlist] = useState(null); // { lobbyCode, position } while queued for a full lobby
+  const replayInputRef = useRef(null);
 
   const createLobby = () => {
     if (!playerName.trim()) {
@@ -44,40 +49,105 @@ function Home({ onJoinLobby }) {
       return;
     }
 
+    requestJoin(lobbyCode.trim().toUpperCase());
+  };
+
+  const quickJoinLobby = (lobby) => {
+    if (!playerName.trim()) {
+      setError('Please enter your name first');
+      return;
+    }
+
+    // Ask for the password up front instead of waiting for the server to reject us
+    if (lobby.requiresPassword) {
+      setError('');
+      setLobbyPassword('');
+      setPasswordPrompt(lobby.code);
+      return;
+    }
+
+    requestJoin(lobby.code);
+  };
+
+  const requestJoin = (code, password) => {
     setLoading(true);
     setError('');
 
     socket.emit('join_lobby', {
-      lobbyCode: lobbyCode.trim().toUpperCase(),
-      playerName: playerName.trim()
+      lobbyCode: code,
+      playerName: playerName.trim(),
+      ...(password && { password })
     }, (response) => {
       setLoading(false);
-      if (response.success) {
+      if (response.success && response.waitlisted) {
+        setPasswordPrompt(null);
+        setWaitlist({ lobbyCode: response.lobbyCode, position: response.position });
+      } else if (response.success) {
+        setPasswordPrompt(null);
         onJoinLobby(response.lobby);
+      } else if (response.code === 'PASSWORD_REQUIRED' || response.code === 'INVALID_PASSWORD') {
+        setPasswordPrompt(code);
+        setLobbyPassword('');
+        if (response.code === 'INVALID_PASSWORD') {
+          setError(response.error);
+        }
       } else {
         setError(response.error || 'Failed to join lobby');
       }
     });
   };
 
-  const quickJoinLobby = (code) => {
-    if (!playerName.trim()) {
-      setError('Please enter your name first');
+  const submitPassword = () => {
+    if (!lobbyPassword) {
+      setError('Please enter the lobby password');
       return;
     }
+    requestJoin(passwordPrompt, lobbyPassword);
+  };
 
-    socket.emit('join_lobby', {
-      lobbyCode: code,
-      playerName: playerName.trim()
-    }, (response) => {
-      if (response.success) {
-        onJoinLobby(response.lobby);
-      } else {
-        setError(response.error || 'Failed to join lobby');
-      }
-    });
+  // Open a replay file downloaded from a game's end screen
+  const openReplayFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    try {
+      onWatchReplay(await readReplayFile(file));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const leaveWaitlist = () => {
+    socket.emit('leave_waitlist');
+    setWaitlist(null);
   };
 
+  // Waitlist progress while queued for a full lobby
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on('waitlist_update', (data) => {
+      setWaitlist({ lobbyCode: data.lobbyCode, position: data.position });
+    });
+
+    socket.on('waitlist_promoted', (data) => {
+      setWaitlist(null);
+      onJoinLobby(data.lobby);
+    });
+
+    socket.on('waitlist_closed', () => {
+      setWaitlist(null);
+      setError('The lobby you were waiting for is no longer available');
+    });
+
+    return () => {
+      socket.off('waitlist_update');
+      socket.off('waitlist_promoted');
+      socket.off('waitlist_closed');
+    };
+  }, [socket, onJoinLobby]);
+
   // Poll for lobby list when browser is visible
   useEffect(() => {
     if (!socket || !showLobbyList) return;
@@ -124,7 +194,7 @@ function Home({ onJoinLobby }) {
       </div>
 
       <div className="actions">
-        <button onClick={createLobby} disabled={loading}>
+        <button onClick={createLobby} disabled={loading || waitlist}>
           Create New Lobby
         </button>
 
@@ -141,9 +211,53 @@ function Home({ onJoinLobby }) {
           </button>
         </div>
 
+        {waitlist && (
+          <div className="waitlist-status">
+            <p>⏳ Lobby <strong>{waitlist.lobbyCode}</strong> is full</p>
+            <p>You're <strong>#{waitlist.position}</strong> on the waitlist - you'll join automatically when a spot opens up.</p>
+            <button onClick={leaveWaitlist} className="secondary">
+              Leave Waitlist
+            </button>
+          </div>
+        )}
+
+        {passwordPrompt && (
+          <div className="password-prompt">
+            <p>🔒 Lobby <strong>{passwordPrompt}</strong> is password protected</p>
+            <div className="join-section">
+              <input
+                type="password"
+                placeholder="Lobby Password"
+                value={lobbyPassword}
+                onChange={(e) => setLobbyPassword(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && submitPassword()}
+                maxLength={64}
+                autoFocus
+              />
+              <button onClick={submitPassword} disabled={loading}>
+                Join
+              </button>
+              <button onClick={() => setPasswordPrompt(null)} className="secondary">
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
         <button onClick={() => setShowLobbyList(!showLobbyList)} className="secondary">
           {showLobbyList ? 'Hide Lobby List' : 'Browse Lobbies'}
         </button>
+
+        <button onClick={() => replayInputRef.current.click()} className="secondary">
+          🎬 Watch a Replay
+        </button>
+        <input
+          ref={replayInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={openReplayFile}
+          hidden
+        />
       </div>
 
       {showLobbyList && (
@@ -156,10 +270,16 @@ function Home({ onJoinLobby }) {
               {lobbyList.map(lobby => (
                 <div key={lobby.code} className="lobby-item">
                   <div className="lobby-info">
-                    <div className="lobby-code">{lobby.code}</div>
+                    <div className="lobby-code">
+                      {lobby.requiresPassword && <span className="lobby-lock" title="Password protected">🔒</span>}
+                      {lobby.code}
+                    </div>
                     <div className="lobby-details">
                       <span className="lobby-host">{lobby.hostName}</span>
-                      <span className="lobby-players">{lobby.playerCount} player{lobby.playerCount !== 1 ? 's' : ''}</span>
+                      <span className="lobby-players">
+                        {lobby.playerCount}/{lobby.maxPlayers} players
+                        {lobby.waitlistCount > 0 && ` (${lobby.waitlistCount} waiting)`}
+                      </span>
                     </div>
                     <div className={`lobby-gamemode ${lobby.state}`}>
                       {lobby.state === 'playing' ? (
@@ -171,7 +291,7 @@ function Home({ onJoinLobby }) {
                       ) : '🎮 Selecting gamemode'}
                     </div>
                   </div>
-                  <button onClick={() => quickJoinLobby(lobby.code)} className="join-button">
+                  <button onClick={() => quickJoinLobby(lobby)} className="join-button">
                     Join Lobby
                   </button>
                 </div>
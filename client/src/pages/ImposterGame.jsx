@@ -2,10 +2,14 @@ import { useEffect, useState, useRef } from 'react';
 import { useSocket } from '../context/SocketContext';
 import { updateCursorColor } from '../utils/cursor';
 import { clearSession } from '../utils/sessionManager';
+import { secondsUntil } from '../utils/serverClock';
+import ChatPanel from '../components/ChatPanel';
+import ReplayActions from '../components/ReplayActions';
 import './ImposterGame.css';
 
-function ImposterGame({ onEnd, onLeave, lobbyData }) {
-  const { socket } = useSocket();
+// readOnly renders the game for the replay viewer: no input, chat or leave/pause controls
+function ImposterGame({ onEnd, onLeave, onWatchReplay, lobbyData, chatMessages, readOnly = false }) {
+  const { socket, playerId: myPlayerId } = useSocket();
   const gameAreaRef = useRef(null);
   const [gameState, setGameState] = useState({
     role: null,
@@ -20,6 +24,7 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
   const [submittedWords, setSubmittedWords] = useState([]);
   const [wordInput, setWordInput] = useState('');
   const [selectedVote, setSelectedVote] = useState(null);
+  const [deadline, setDeadline] = useState(null); // Server timestamp the current turn/vote ends at
   const [timeRemaining, setTimeRemaining] = useState(0);
   const [voteResults, setVoteResults] = useState(null);
   const [gameEndInfo, setGameEndInfo] = useState(null);
@@ -27,6 +32,8 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
   const [players, setPlayers] = useState([]);
   const [eventLog, setEventLog] = useState([]);
   const [showLeaveConfirm, setShowLeaveConfirm] = useState(false);
+  const isHost = lobbyData?.host === myPlayerId;
+  const isPaused = !!lobbyData?.paused;
 
   // Initialize players from lobby data
   useEffect(() => {
@@ -38,12 +45,12 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
   // Update cursor color based on player's color
   useEffect(() => {
     if (socket && players.length > 0) {
-      const currentPlayer = players.find(p => p.id === socket.id);
+      const currentPlayer = players.find(p => p.id === myPlayerId);
       if (currentPlayer?.color) {
         updateCursorColor(currentPlayer.color);
       }
     }
-  }, [socket, players]);
+  }, [myPlayerId, players]);
 
   useEffect(() => {
     if (!socket) return;
@@ -100,7 +107,7 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
         currentPlayerId: data.playerId,
         currentPlayerName: data.playerName
       }));
-      setTimeRemaining(data.timeLimit);
+      setDeadline(data.deadline);
       addEventLog(`${data.playerName}'s turn`, 'info');
     });
 
@@ -110,9 +117,13 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
       addEventLog(`${data.playerName} submitted: "${data.word}"`, 'info');
     });
 
+    socket.on('content_rejected', (data) => {
+      addEventLog(data.error, 'error');
+    });
+
     socket.on('voting_start', (data) => {
       setGameState(prev => ({ ...prev, phase: 'voting' }));
-      setTimeRemaining(data.timeLimit);
+      setDeadline(data.deadline);
       setSubmittedWords(data.words);
       addEventLog('Voting phase started', 'info');
     });
@@ -139,7 +150,7 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
     });
 
     socket.on('imposter_cursor_update', (data) => {
-      if (data.playerId !== socket.id &&
+      if (data.playerId !== myPlayerId &&
           typeof data.x === 'number' &&
           typeof data.y === 'number' &&
           typeof data.playerName === 'string') {
@@ -164,27 +175,87 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
       addEventLog(`${data.playerName} left the game`, 'error');
     });
 
+    socket.on('player_renamed', (data) => {
+      addEventLog(`${data.oldName} is now ${data.newName}`, 'info');
+    });
+
+    socket.on('player_kicked', (data) => {
+      addEventLog(`${data.playerName} was ${data.banned ? 'banned' : 'kicked'} by the host`, 'error');
+    });
+
+    socket.on('game_paused', () => {
+      // Stop the countdown where it is; game_resumed brings the shifted deadline
+      setDeadline(null);
+      addEventLog('The host paused the game', 'info');
+    });
+
+    socket.on('game_resumed', (data) => {
+      setDeadline(data.deadline);
+      addEventLog('The host resumed the game', 'info');
+    });
+
+    // Full state for late joiners and reconnects, replacing whatever we had
+    socket.on('game_state_sync', (data) => {
+      setGameState({
+        role: data.role,
+        word: data.word,
+        phase: data.phase,
+        currentPlayerId: data.currentPlayerId,
+        currentPlayerName: data.currentPlayerName,
+        round: data.round,
+        totalRounds: data.totalRounds,
+        isSpectator: data.isSpectator
+      });
+      setPlayers(data.players);
+      setSubmittedWords(data.submittedWords);
+      setSelectedVote(data.vote);
+      setVoteResults(null);
+      setTimeRemaining(data.timeRemaining);
+      setDeadline(data.deadline);
+
+      addEventLog(data.isSpectator
+        ? 'Joined the game in progress as a spectator'
+        : `Rejoined the game - you are ${data.role === 'imposter' ? 'an Imposter' : 'an Innocent'}`, 'info');
+    });
+
+    // Listeners are in place - catch up if the game is already running
+    socket.emit('request_game_state', {});
+
     return () => {
       socket.off('lobby_update');
       socket.off('game_start');
       socket.off('round_start');
       socket.off('turn_start');
       socket.off('word_submitted');
+      socket.off('content_rejected');
       socket.off('voting_start');
       socket.off('voting_result');
       socket.off('game_end');
       socket.off('imposter_cursor_update');
       socket.off('imposter_cursor_remove');
       socket.off('player_left_game');
+      socket.off('player_kicked');
+      socket.off('player_renamed');
+      socket.off('game_paused');
+      socket.off('game_resumed');
+      socket.off('game_state_sync');
     };
-  }, [socket]);
+  }, [socket, myPlayerId]);
 
+  // Count down to the server's deadline rather than from a local start time,
+  // so late joiners and reconnecting players see the same clock as everyone else
   useEffect(() => {
-    if (timeRemaining > 0) {
-      const timer = setTimeout(() => setTimeRemaining(t => t - 1), 1000);
-      return () => clearTimeout(timer);
-    }
-  }, [timeRemaining]);
+    if (!deadline) return;
+
+    setTimeRemaining(secondsUntil(deadline));
+    const timer = setInterval(() => {
+      const remaining = secondsUntil(deadline);
+      setTimeRemaining(remaining);
+      if (remaining === 0) clearInterval(timer);
+    }, 250);
+
+    return () => clearInterval(timer);
+  }, [deadline]);
 
   // Track mouse movement for cursors
   useEffect(() => {
@@ -235,13 +306,22 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
     socket.emit('cast_vote', { targetId });
   };
 
+  // Host only - the server freezes the game's timers and ignores moves until resumed
+  const setPaused = (paused) => {
+    socket.emit(paused ? 'pause_game' : 'resume_game', {}, (response) => {
+      if (!response.success) {
+        addEventLog(response.error, 'error');
+      }
+    });
+  };
+
   const handleLeaveGame = () => {
     socket.emit('leave_game');
     clearSession();
     onLeave();
   };
 
-  const isMyTurn = gameState.currentPlayerId && socket.id === gameState.currentPlayerId;
+  const isMyTurn = !readOnly && gameState.currentPlayerId && myPlayerId === gameState.currentPlayerId;
 
   if (gameState.phase === 'gameEnd' && gameEndInfo) {
     return (
@@ -272,8 +352,15 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
             </div>
           </div>
 
-          <button onClick={onEnd}>Return to Home</button>
+          {!readOnly && (
+            <>
+              <ReplayActions gameId={gameEndInfo.gameId} onWatch={onWatchReplay} />
+              <button onClick={onEnd}>Return to Home</button>
+            </>
+          )}
         </div>
+
+        {!readOnly && <ChatPanel messages={chatMessages} />}
       </div>
     );
   }
@@ -283,6 +370,25 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
       className="card imposter-game"
       ref={gameAreaRef}
     >
+      {isPaused && !showLeaveConfirm && (
+        <div className="confirm-overlay">
+          <div className="confirm-dialog">
+            <h2>⏸️ Game Paused</h2>
+            <p>{isHost ? 'Timers are frozen until you resume.' : 'Waiting for the host to resume the game...'}</p>
+            <div className="confirm-buttons">
+              {isHost && (
+                <button onClick={() => setPaused(false)}>
+                  Resume
+                </button>
+              )}
+              <button onClick={() => setShowLeaveConfirm(true)} className="leave-button">
+                Leave Game
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {showLeaveConfirm && (
         <div className="confirm-overlay">
           <div className="confirm-dialog">
@@ -352,7 +458,7 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
               <div className="player-info">
                 <span className="player-name">
                   {player.name}
-                  {player.id === socket.id && <span className="player-you"> (You)</span>}
+                  {player.id === myPlayerId && <span className="player-you"> (You)</span>}
                 </span>
                 {player.isSpectator && <span className="player-status spectator">Spectator</span>}
               </div>
@@ -431,7 +537,7 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
                 key={item.playerId}
                 className={`vote-option ${selectedVote === item.playerId ? 'selected' : ''}`}
                 onClick={() => castVote(item.playerId)}
-                disabled={selectedVote !== null}
+                disabled={readOnly || selectedVote !== null}
               >
                 <span className="player-name">{item.playerName}</span>
                 <span className="word">"{item.word}"</span>
@@ -474,11 +580,20 @@ function ImposterGame({ onEnd, onLeave, lobbyData }) {
         </div>
       )}
 
-      <div className="game-controls">
-        <button onClick={() => setShowLeaveConfirm(true)} className="leave-button">
-          Leave Game
-        </button>
-      </div>
+      {!readOnly && (
+        <div className="game-controls">
+          {isHost && !gameEndInfo && (
+            <button onClick={() => setPaused(true)} disabled={isPaused} className="secondary">
+              ⏸️ Pause
+            </button>
+          )}
+          <button onClick={() => setShowLeaveConfirm(true)} className="leave-button">
+            Leave Game
+          </button>
+        </div>
+      )}
+
+      {!readOnly && <ChatPanel messages={chatMessages} />}
     </div>
   );
 }
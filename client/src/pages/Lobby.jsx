@@ -2,8 +2,18 @@ import { useEffect, useState, useRef } from 'react';
 import { useSocket } from '../context/SocketContext';
 import { updateCursorColor } from '../utils/cursor';
 import Dropdown from '../components/Dropdown';
+import ChatPanel from '../components/ChatPanel';
+import GameSettings from '../components/GameSettings';
 import './Lobby.css';
 
+const VISIBILITY_OPTIONS = [
+  { value: 'public', label: '🌐 Public - listed in lobby browser' },
+  { value: 'unlisted', label: '🙈 Unlisted - join by code only' },
+  { value: 'password', label: '🔒 Password - listed, needs password' }
+];
+
+const MAX_PLAYER_OPTIONS = [2, 3, 4, 5, 6, 8, 10, 12, 16, 20];
+
 const AVAILABLE_COLORS = [
   { name: 'Orange', value: '#f59e0b' },
   { name: 'Green', value: '#10b981' },
@@ -15,39 +25,59 @@ const AVAILABLE_COLORS = [
   { name: 'Amber', value: '#f97316' }
 ];
 
-function Lobby({ lobbyData, onStartGame, onLeave }) {
-  const { socket } = useSocket();
+function Lobby({ lobbyData, chatMessages, onStartGame, onLeave }) {
+  const { socket, playerId: myPlayerId } = useSocket();
   const [lobby, setLobby] = useState(lobbyData);
   const [isHost, setIsHost] = useState(false);
   const [lobbyCursors, setLobbyCursors] = useState(new Map());
+  const [games, setGames] = useState([]);
+  const [visibility, setVisibility] = useState(lobbyData?.visibility || 'public');
+  const [lobbyPassword, setLobbyPassword] = useState('');
+  const [visibilityMessage, setVisibilityMessage] = useState(null);
+  const [pendingModeration, setPendingModeration] = useState(null); // { action, player } awaiting confirmation
+  const [renaming, setRenaming] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [renameError, setRenameError] = useState('');
+  const [gameError, setGameError] = useState(''); // Why the server refused a game choice or start
   const lobbyAreaRef = useRef(null);
   const [selectedColor, setSelectedColor] = useState(AVAILABLE_COLORS[0].value);
-  const [settings, setSettings] = useState({
-    imposterCount: 1,
-    turnTimeLimit: 30,
-    votingTimeLimit: 30,
-    maxRounds: 5,
-    giveHintWord: false,
-    randomEliminationOnTie: true,
-    winnerOnMaxRounds: 'innocents',
-    // Connections settings
-    megaMode: false,
-    puzzleCount: 1
-  });
+  const [settings, setSettings] = useState({}); // The selected game's settings, sent with start_game
 
   // Initialize isHost and color on mount
   useEffect(() => {
     if (socket && lobbyData) {
-      setIsHost(socket.id === lobbyData.host);
+      setIsHost(myPlayerId === lobbyData.host);
 
       // Set color from player data if available
-      const currentPlayer = lobbyData.players?.find(p => p.id === socket.id);
+      const currentPlayer = lobbyData.players?.find(p => p.id === myPlayerId);
       if (currentPlayer?.color) {
         setSelectedColor(currentPlayer.color);
         updateCursorColor(currentPlayer.color);
       }
     }
-  }, [socket, lobbyData]);
+  }, [myPlayerId, lobbyData]);
+
+  // Fetch available game types from the server's game registry
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.emit('get_game_list', (response) => {
+      if (response.success) {
+        setGames(response.games);
+      }
+    });
+  }, [socket]);
+
+  const selectedGame = games.find(game => game.id === lobby?.gameType);
+
+  // Start from the schema defaults (or what the lobby already has) whenever a game is picked
+  useEffect(() => {
+    if (!selectedGame) return;
+
+    setSettings(Object.fromEntries(Object.entries(selectedGame.settings).map(
+      ([key, setting]) => [key, lobby.settings?.[key] ?? setting.default]
+    )));
+  }, [selectedGame?.id]);
 
   // Check if joining a game in progress and immediately transition
   useEffect(() => {
@@ -64,7 +94,8 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
     socket.on('lobby_update', (updatedLobby) => {
       console.log('[Lobby] Received lobby_update:', updatedLobby);
       setLobby(updatedLobby);
-      setIsHost(socket.id === updatedLobby.host);
+      setIsHost(myPlayerId === updatedLobby.host);
+      setVisibility(updatedLobby.visibility || 'public');
 
       // Transition to game screen when lobby state changes to 'playing'
       if (updatedLobby.state === 'playing' && lobby?.state !== 'playing') {
@@ -82,7 +113,7 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
 
     // Listen for lobby cursor updates
     socket.on('lobby_cursor_update', (data) => {
-      if (data.playerId !== socket.id) {
+      if (data.playerId !== myPlayerId) {
         setLobbyCursors(prev => new Map(prev).set(data.playerId, {
           x: data.x,
           y: data.y,
@@ -100,7 +131,7 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
       });
     });
 
-    setIsHost(socket.id === lobbyData.host);
+    setIsHost(myPlayerId === lobbyData.host);
 
     return () => {
       socket.off('lobby_update');
@@ -108,7 +139,7 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
       socket.off('lobby_cursor_update');
       socket.off('lobby_cursor_remove');
     };
-  }, [socket, lobbyData, onStartGame, lobby?.gameType, lobby?.state]);
+  }, [socket, myPlayerId, lobbyData, onStartGame, lobby?.gameType, lobby?.state]);
 
   // Track mouse movement for lobby cursors
   useEffect(() => {
@@ -143,9 +174,13 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
     };
   }, [socket]);
 
+  const handleGameResponse = (response) => {
+    setGameError(response.success ? '' : response.error);
+  };
+
   const handleStartGame = () => {
     console.log('[Lobby] Starting game with settings:', settings);
-    socket.emit('start_game', { settings });
+    socket.emit('start_game', { settings }, handleGameResponse);
   };
 
   const updateSetting = (key, value) => {
@@ -160,26 +195,103 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
     }
   };
 
+  const saveVisibility = () => {
+    socket.emit('update_lobby_visibility', {
+      visibility,
+      ...(visibility === 'password' && lobbyPassword && { password: lobbyPassword })
+    }, (response) => {
+      if (response.success) {
+        setLobbyPassword('');
+        setVisibilityMessage({ type: 'success', text: 'Lobby privacy updated' });
+      } else {
+        setVisibilityMessage({ type: 'error', text: response.error || 'Failed to update lobby privacy' });
+      }
+    });
+  };
+
+  const updateCapacity = (changes) => {
+    socket.emit('update_lobby_capacity', changes, (response) => {
+      if (!response.success) {
+        console.error('[Lobby] Failed to update capacity:', response.error);
+      }
+    });
+  };
+
+  const startRename = (currentName) => {
+    setNewName(currentName);
+    setRenameError('');
+    setRenaming(true);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    socket.emit('rename_player', { playerName: newName.trim() }, (response) => {
+      if (response.success) {
+        setRenaming(false);
+        setRenameError('');
+      } else {
+        setRenameError(response.error);
+      }
+    });
+  };
+
+  const confirmModeration = () => {
+    const { action, player } = pendingModeration;
+    setPendingModeration(null);
+
+    socket.emit(action, { playerId: player.id }, (response) => {
+      if (!response.success) {
+        console.error(`[Lobby] ${action} failed:`, response.error);
+      }
+    });
+  };
+
   const handleLeave = () => {
     socket.emit('leave_lobby');
     onLeave();
   };
 
   const selectGamemode = (gameType) => {
-    socket.emit('select_gamemode', { gameType, settings: {} });
+    socket.emit('select_gamemode', { gameType, settings: {} }, handleGameResponse);
   };
 
   const backToGameSelection = () => {
-    socket.emit('select_gamemode', { gameType: null, settings: {} });
+    socket.emit('select_gamemode', { gameType: null, settings: {} }, handleGameResponse);
   };
 
   if (!lobby) return null;
 
-  const minPlayers = lobby.gameType === 'imposter' ? 3 : 1;
+  const minPlayers = selectedGame?.minPlayers || 1;
   const canStart = lobby.players.length >= minPlayers && isHost;
 
   return (
     <div className="card lobby" ref={lobbyAreaRef}>
+      {pendingModeration && (
+        <div className="confirm-overlay">
+          <div className="confirm-dialog">
+            <h2>
+              {pendingModeration.action === 'kick_player' ? 'Kick Player?' :
+               pendingModeration.action === 'ban_player' ? 'Ban Player?' : 'Transfer Host?'}
+            </h2>
+            <p>
+              {pendingModeration.action === 'kick_player' && `${pendingModeration.player.name} will be removed from the lobby. They can rejoin later.`}
+              {pendingModeration.action === 'ban_player' && `${pendingModeration.player.name} will be removed and can't rejoin this lobby.`}
+              {pendingModeration.action === 'transfer_host' && `${pendingModeration.player.name} will become the host. You'll lose host controls.`}
+            </p>
+            <div className="confirm-buttons">
+              <button onClick={() => setPendingModeration(null)} className="secondary">
+                Cancel
+              </button>
+              <button onClick={confirmModeration} className="danger-button">
+                Confirm
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Render other players' cursors */}
       {Array.from(lobbyCursors.entries()).map(([playerId, cursor]) => (
         <div
@@ -197,13 +309,15 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
 
       <div className="lobby-header">
         <h1 className="title">
-          {lobby.state === 'selecting' ? '🎮 Select Game Mode' :
-           lobby.gameType === 'imposter' ? '🕵️ Imposter' : '🧩 Connections'}
+          {lobby.state === 'selecting' || !selectedGame ? '🎮 Select Game Mode' :
+           `${selectedGame.icon} ${selectedGame.name}`}
         </h1>
         <div className="lobby-code">
           <span>Lobby Code:</span>
           <strong>{lobby.code}</strong>
         </div>
+        {lobby.visibility === 'password' && <div className="visibility-badge">🔒 Password protected</div>}
+        {lobby.visibility === 'unlisted' && <div className="visibility-badge">🙈 Unlisted</div>}
       </div>
 
       <div className="color-selector-section">
@@ -221,8 +335,71 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
         </div>
       </div>
 
+      {isHost && (
+        <div className="visibility-section">
+          <h3>Lobby Privacy</h3>
+          <div className="setting">
+            <Dropdown
+              value={visibility}
+              onChange={(value) => {
+                setVisibility(value);
+                setVisibilityMessage(null);
+              }}
+              options={VISIBILITY_OPTIONS}
+            />
+          </div>
+          {visibility === 'password' && (
+            <input
+              type="password"
+              placeholder={lobby.visibility === 'password' ? 'New password (leave blank to keep)' : 'Lobby password'}
+              value={lobbyPassword}
+              onChange={(e) => setLobbyPassword(e.target.value)}
+              maxLength={64}
+            />
+          )}
+          <button onClick={saveVisibility} className="secondary">
+            Save Privacy
+          </button>
+          {visibilityMessage && (
+            <p className={`visibility-message ${visibilityMessage.type}`}>{visibilityMessage.text}</p>
+          )}
+        </div>
+      )}
+
+      {isHost && (
+        <div className="capacity-section">
+          <h3>Lobby Capacity</h3>
+          <div className="setting">
+            <label>
+              Max Players:
+              <Dropdown
+                value={lobby.customMaxPlayers ?? 'default'}
+                onChange={(value) => updateCapacity({ maxPlayers: value === 'default' ? null : value })}
+                options={[
+                  { value: 'default', label: `Game default (${lobby.gameMaxPlayers})` },
+                  // The server refuses more players than the selected game supports
+                  ...MAX_PLAYER_OPTIONS
+                    .filter(n => n <= lobby.gameMaxPlayers)
+                    .map(n => ({ value: n, label: `${n} players` }))
+                ]}
+              />
+            </label>
+          </div>
+          <div className="setting checkbox">
+            <label className="clickable">
+              <input
+                type="checkbox"
+                checked={lobby.waitlistEnabled}
+                onChange={(e) => updateCapacity({ waitlistEnabled: e.target.checked })}
+              />
+              Waitlist when full
+            </label>
+          </div>
+        </div>
+      )}
+
       <div className="players-section">
-        <h2>Players ({lobby.players.length})</h2>
+        <h2>Players ({lobby.players.length}/{lobby.maxPlayers})</h2>
         <div className="players-list">
           {lobby.players.map((player) => (
             <div key={player.id} className="player">
@@ -230,11 +407,60 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
                 className="player-color-dot"
                 style={{ backgroundColor: player.color || '#888' }}
               />
-              <span>{player.name}</span>
+              {renaming && player.id === myPlayerId ? (
+                <form className="rename-form" onSubmit={submitRename}>
+                  <input
+                    type="text"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    maxLength={20}
+                    autoFocus
+                  />
+                  <button type="submit" title="Save">✓</button>
+                  <button type="button" onClick={() => setRenaming(false)} title="Cancel">✕</button>
+                </form>
+              ) : (
+                <span>{player.name}</span>
+              )}
               {player.isHost && <span className="host-badge">Host</span>}
+              {player.id === myPlayerId && !renaming && (
+                <div className="player-actions">
+                  <button onClick={() => startRename(player.name)} title="Change name">
+                    ✏️
+                  </button>
+                </div>
+              )}
+              {isHost && player.id !== myPlayerId && (
+                <div className="player-actions">
+                  <button
+                    onClick={() => setPendingModeration({ action: 'transfer_host', player })}
+                    title="Make host"
+                  >
+                    👑
+                  </button>
+                  <button
+                    onClick={() => setPendingModeration({ action: 'kick_player', player })}
+                    title="Kick"
+                  >
+                    🚪
+                  </button>
+                  <button
+                    onClick={() => setPendingModeration({ action: 'ban_player', player })}
+                    title="Ban"
+                  >
+                    🚫
+                  </button>
+                </div>
+              )}
             </div>
           ))}
         </div>
+        {renameError && <p className="rename-error">{renameError}</p>}
+        {lobby.waitlist?.length > 0 && (
+          <p className="waitlist-info">
+            ⏳ Waitlist: {lobby.waitlist.map(entry => entry.name).join(', ')}
+          </p>
+        )}
       </div>
 
       {lobby.state === 'selecting' && isHost && (
@@ -245,16 +471,13 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
             </p>
           </div>
           <div className="gamemode-buttons">
-            <button onClick={() => selectGamemode('imposter')} className="gamemode-button">
-              <div className="game-icon">🕵️</div>
-              <h3>Imposter</h3>
-              <p>Social deduction word game</p>
-            </button>
-            <button onClick={() => selectGamemode('connections')} className="gamemode-button">
-              <div className="game-icon">🧩</div>
-              <h3>Connections</h3>
-              <p>Collaborative word puzzle</p>
-            </button>
+            {games.map((game) => (
+              <button key={game.id} onClick={() => selectGamemode(game.id)} className="gamemode-button">
+                <div className="game-icon">{game.icon}</div>
+                <h3>{game.name}</h3>
+                <p>{game.description}</p>
+              </button>
+            ))}
           </div>
         </div>
       )}
@@ -265,133 +488,19 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
         </div>
       )}
 
-      {lobby.gameType === 'imposter' && lobby.state === 'waiting' && (
+      {selectedGame && lobby.state === 'waiting' && (
         <>
           <div className="game-info">
-            <p>
-              Waiting for at least {minPlayers} players to start...
-            </p>
-            <p className="tip">
-              💡 Innocents get the secret word. Imposters must blend in!
-            </p>
-            {isHost && (
-              <button onClick={backToGameSelection} className="back-button">
-                ← Change Game Mode
-              </button>
+            {minPlayers > 1 && (
+              <p>
+                Waiting for at least {minPlayers} players to start...
+              </p>
+            )}
+            {selectedGame.tip && (
+              <p className="tip">
+                💡 {selectedGame.tip}
+              </p>
             )}
-          </div>
-
-          {isHost && (
-            <div className="settings-section">
-              <h2>Game Settings</h2>
-
-              <div className="setting">
-                <label>
-                  Number of Imposters:
-                  <Dropdown
-                    value={settings.imposterCount}
-                    onChange={(value) => updateSetting('imposterCount', value)}
-                    options={[1, 2, 3].map(n => ({
-                      value: n,
-                      label: `${n} ${n >= lobby.players.length ? '(need more players)' : ''}`,
-                      disabled: n >= lobby.players.length
-                    }))}
-                  />
-                </label>
-              </div>
-
-              <div className="setting">
-                <label>
-                  Turn Time Limit:
-                  <Dropdown
-                    value={settings.turnTimeLimit}
-                    onChange={(value) => updateSetting('turnTimeLimit', value)}
-                    options={[
-                      { value: 15, label: '15 seconds' },
-                      { value: 30, label: '30 seconds' },
-                      { value: 45, label: '45 seconds' },
-                      { value: 60, label: '60 seconds' }
-                    ]}
-                  />
-                </label>
-              </div>
-
-              <div className="setting">
-                <label>
-                  Voting Time Limit:
-                  <Dropdown
-                    value={settings.votingTimeLimit}
-                    onChange={(value) => updateSetting('votingTimeLimit', value)}
-                    options={[
-                      { value: 15, label: '15 seconds' },
-                      { value: 30, label: '30 seconds' },
-                      { value: 45, label: '45 seconds' },
-                      { value: 60, label: '60 seconds' }
-                    ]}
-                  />
-                </label>
-              </div>
-
-              <div className="setting">
-                <label>
-                  Max Rounds:
-                  <Dropdown
-                    value={settings.maxRounds}
-                    onChange={(value) => updateSetting('maxRounds', value)}
-                    options={[3, 4, 5, 6, 7, 8].map(n => ({
-                      value: n,
-                      label: `${n} rounds`
-                    }))}
-                  />
-                </label>
-              </div>
-
-              <div className="setting checkbox">
-                <label className="clickable">
-                  <input
-                    type="checkbox"
-                    checked={settings.giveHintWord}
-                    onChange={(e) => updateSetting('giveHintWord', e.target.checked)}
-                  />
-                  Give Imposters a Hint Word
-                </label>
-              </div>
-
-              <div className="setting checkbox">
-                <label className="clickable">
-                  <input
-                    type="checkbox"
-                    checked={settings.randomEliminationOnTie}
-                    onChange={(e) => updateSetting('randomEliminationOnTie', e.target.checked)}
-                  />
-                  Random Elimination on Vote Tie
-                </label>
-              </div>
-
-              <div className="setting">
-                <label>
-                  Winner if Max Rounds Reached:
-                  <Dropdown
-                    value={settings.winnerOnMaxRounds}
-                    onChange={(value) => updateSetting('winnerOnMaxRounds', value)}
-                    options={[
-                      { value: 'innocents', label: 'Innocents' },
-                      { value: 'imposters', label: 'Imposters' }
-                    ]}
-                  />
-                </label>
-              </div>
-            </div>
-          )}
-        </>
-      )}
-
-      {lobby.gameType === 'connections' && lobby.state === 'waiting' && (
-        <>
-          <div className="game-info">
-            <p className="tip">
-              💡 Work together to find groups of four related words!
-            </p>
             {isHost && (
               <button onClick={backToGameSelection} className="back-button">
                 ← Change Game Mode
@@ -400,41 +509,18 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
           </div>
 
           {isHost && (
-            <div className="settings-section">
-              <h2>Game Settings</h2>
-
-              <div className="setting checkbox">
-                <label className="clickable">
-                  <input
-                    type="checkbox"
-                    checked={settings.megaMode}
-                    onChange={(e) => updateSetting('megaMode', e.target.checked)}
-                  />
-                  Mega Mode (Combine Multiple Puzzles)
-                </label>
-              </div>
-
-              {settings.megaMode && (
-                <div className="setting">
-                  <label>
-                    Number of Puzzles:
-                    <Dropdown
-                      value={settings.puzzleCount}
-                      onChange={(value) => updateSetting('puzzleCount', value)}
-                      options={[2, 3, 4, 5, 6, 7, 8, 9, 10].map(n => ({
-                        value: n,
-                        label: `${n} puzzles (${n * 4} categories)`
-                      }))}
-                    />
-                  </label>
-                </div>
-              )}
-            </div>
+            <GameSettings
+              schema={selectedGame.settings}
+              settings={settings}
+              playerCount={lobby.players.length}
+              onChange={updateSetting}
+            />
           )}
         </>
       )}
 
       <div className="lobby-actions">
+        {isHost && gameError && <p className="game-error">{gameError}</p>}
         {isHost ? (
           <button onClick={handleStartGame} disabled={!canStart}>
             {canStart ? 'Start Game' : `Need ${minPlayers - lobby.players.length} more player(s)`}
@@ -447,6 +533,8 @@ function Lobby({ lobbyData, onStartGame, onLeave }) {
           Leave Lobby
         </button>
       </div>
+
+      <ChatPanel messages={chatMessages} />
     </div>
   );
 }
@@ -0,0 +1,169 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { ReplaySocketProvider } from '../context/SocketContext';
+import { createReplaySocket } from '../utils/replaySocket';
+import { serverNow } from '../utils/serverClock';
+import gameScreens from './gameScreens';
+import Dropdown from '../components/Dropdown';
+import './ReplayViewer.css';
+
+const TICK_MS = 100;
+const SPEEDS = [1, 2, 4];
+
+const formatTime = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Plays a recorded game back through the regular game screen in read-only mode.
+// The screen gets a replay socket instead of the real one; recorded events up
+// to the playhead are dispatched into it, and seeking backwards remounts the
+// screen on a fresh socket and plays everything up to the new position again.
+function ReplayViewer({ replay, onClose }) {
+  const duration = replay.events.length > 0 ? replay.events[replay.events.length - 1].t : 0;
+  // Games that send some players private events (like Imposter roles) are
+  // watched as one of the players; the rest are watched as a spectator
+  const hasPrivateEvents = useMemo(() => replay.events.some(entry => entry.to), [replay]);
+  const [perspective, setPerspective] = useState(hasPrivateEvents ? replay.players[0]?.id ?? null : null);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [generation, setGeneration] = useState(0); // Bumped to remount the game screen from scratch
+
+  const socket = useMemo(() => createReplaySocket(), [generation]);
+  const applied = useRef(0); // How many of `events` the current socket has dispatched
+
+  const events = useMemo(
+    () => replay.events.filter(entry => !entry.to || entry.to === perspective),
+    [replay, perspective]
+  );
+  const target = useMemo(() => {
+    const next = events.findIndex(entry => entry.t > time);
+    return next === -1 ? events.length : next;
+  }, [events, time]);
+
+  // Runs after the game screen's own effects, so its listeners are registered
+  useEffect(() => {
+    if (target < applied.current) {
+      applied.current = 0;
+      setGeneration(g => g + 1);
+      return;
+    }
+
+    while (applied.current < target) {
+      const entry = events[applied.current++];
+      let data = entry.data;
+
+      // Recorded deadlines are on the original game's clock; move them to now,
+      // keeping the time that was left at this point in the replay
+      if (typeof data?.deadline === 'number') {
+        data = { ...data, deadline: serverNow() + (data.deadline - replay.startedAt - time) };
+      }
+
+      socket.dispatch(entry.event, data);
+    }
+  }, [socket, events, target]);
+
+  useEffect(() => {
+    if (!playing) return;
+
+    const interval = setInterval(() => {
+      setTime(prev => Math.min(duration, prev + TICK_MS * speed));
+    }, TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [playing, speed, duration]);
+
+  useEffect(() => {
+    if (playing && time >= duration) {
+      setPlaying(false);
+    }
+  }, [playing, time, duration]);
+
+  const togglePlaying = () => {
+    if (time >= duration) {
+      setTime(0);
+    }
+    setPlaying(!playing);
+  };
+
+  const stepBack = () => {
+    const previous = events.slice(0, target - 1).pop();
+    setTime(previous ? previous.t : 0);
+  };
+
+  const stepForward = () => {
+    const next = events[target];
+    if (next) {
+      setTime(next.t);
+    }
+  };
+
+  const changePerspective = (playerId) => {
+    applied.current = 0;
+    setPerspective(playerId);
+    setGeneration(g => g + 1);
+  };
+
+  const Game = gameScreens[replay.gameType];
+  const lobbyData = { players: replay.players, host: null, paused: false };
+
+  return (
+    <div className="replay-viewer">
+      <div className="card replay-controls">
+        <div className="replay-header">
+          <h2>🎬 {replay.gameType.charAt(0).toUpperCase() + replay.gameType.slice(1)} replay</h2>
+          <span className="replay-meta">
+            Lobby {replay.lobbyCode} · {new Date(replay.startedAt).toLocaleString()}
+          </span>
+          <button onClick={onClose} className="secondary">Close Replay</button>
+        </div>
+
+        <div className="replay-transport">
+          <button onClick={stepBack} disabled={target === 0} title="Previous event">⏮</button>
+          <button onClick={togglePlaying} title={playing ? 'Pause' : 'Play'}>{playing ? '⏸' : '▶'}</button>
+          <button onClick={stepForward} disabled={target >= events.length} title="Next event">⏭</button>
+          <input
+            type="range"
+            min={0}
+            max={duration}
+            step={TICK_MS}
+            value={time}
+            onChange={(e) => setTime(Number(e.target.value))}
+          />
+          <span className="replay-time">{formatTime(time)} / {formatTime(duration)}</span>
+          <button
+            onClick={() => setSpeed(SPEEDS[(SPEEDS.indexOf(speed) + 1) % SPEEDS.length])}
+            className="secondary"
+            title="Playback speed"
+          >
+            {speed}x
+          </button>
+        </div>
+
+        {hasPrivateEvents && (
+          <div className="replay-perspective">
+            <span>Watching as</span>
+            <Dropdown
+              value={perspective}
+              options={replay.players.map(player => ({ value: player.id, label: player.name }))}
+              onChange={changePerspective}
+            />
+          </div>
+        )}
+      </div>
+
+      <ReplaySocketProvider socket={socket} playerId={perspective}>
+        <Game
+          key={generation}
+          readOnly
+          lobbyData={lobbyData}
+          chatMessages={[]}
+          onEnd={onClose}
+          onLeave={onClose}
+        />
+      </ReplaySocketProvider>
+    </div>
+  );
+}
+
+export default ReplayViewer;
@@ -0,0 +1,12 @@
+import ImposterGame from './ImposterGame';
+import ConnectionsGame from './ConnectionsGame';
+
+// Screen for each game type the server registers (server/src/games/), keyed by
+// game id. Live games and replays both render through it, so this is the only
+// place the client needs a new game added.
+const gameScreens = {
+  imposter: ImposterGame,
+  connections: ConnectionsGame
+};
+
+export default gameScreens;
@@ -0,0 +1,47 @@
+// Stand-in for the Socket.IO client while a recorded game is replayed. Game
+// screens register their listeners on it as usual; the replay viewer feeds it
+// recorded events with dispatch(), and anything the screens send is dropped.
+
+/**
+ * Create a socket-like object that only the replay viewer can send events through
+ */
+export function createReplaySocket() {
+  const listeners = new Map(); // event -> Set of handlers
+
+  return {
+    id: 'replay',
+    connected: true,
+
+    on(event, handler) {
+      if (!listeners.has(event)) {
+        listeners.set(event, new Set());
+      }
+      listeners.get(event).add(handler);
+      return this;
+    },
+
+    off(event, handler) {
+      if (handler) {
+        listeners.get(event)?.delete(handler);
+      } else {
+        listeners.delete(event);
+      }
+      return this;
+    },
+
+    // Replays are read-only: requests go nowhere, but acknowledge them so callers don't hang
+    emit(event, ...args) {
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') {
+        callback({ success: false, error: 'Replays are read-only' });
+      }
+      return this;
+    },
+
+    dispatch(event, data) {
+      for (const handler of listeners.get(event) || []) {
+        handler(data);
+      }
+    }
+  };
+}
@@ -0,0 +1,49 @@
+import gameScreens from '../pages/gameScreens';
+
+// Replays of finished games, served by the game server's /api/replays endpoint
+
+const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:3000';
+
+/**
+ * Fetch a finished game's replay (throws if the server no longer has it)
+ */
+export async function fetchReplay(gameId) {
+  const response = await fetch(`${SERVER_URL}/api/replays/${encodeURIComponent(gameId)}`);
+  if (!response.ok) {
+    throw new Error(response.status === 404 ? 'This replay is no longer available' : 'Failed to load replay');
+  }
+  return response.json();
+}
+
+/**
+ * Read a replay from a JSON file the player picked (throws if it isn't one)
+ */
+export async function readReplayFile(file) {
+  let replay;
+  try {
+    replay = JSON.parse(await file.text());
+  } catch {
+    throw new Error('That file is not a valid replay');
+  }
+
+  if (!Object.hasOwn(gameScreens, replay?.gameType ?? '') || !Array.isArray(replay.events)) {
+    throw new Error('That file is not a valid replay');
+  }
+  return replay;
+}
+
+/**
+ * Save a finished game's replay as a JSON file
+ */
+export async function downloadReplay(gameId) {
+  const replay = await fetchReplay(gameId);
+  const blob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${replay.gameType}-replay-${gameId}.json`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
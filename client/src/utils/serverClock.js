@@ -0,0 +1,45 @@
+// Server clock synchronisation so countdowns match the server's deadlines
+// regardless of the local clock or when an event arrived.
+
+let offset = 0; // serverTime - localTime, in ms
+
+/**
+ * Current time on the server's clock (ms since epoch)
+ */
+export function serverNow() {
+  return Date.now() + offset;
+}
+
+/**
+ * Whole seconds left until a server deadline (never negative)
+ */
+export function secondsUntil(deadline) {
+  return Math.max(0, Math.ceil((deadline - serverNow()) / 1000));
+}
+
+const ping = (socket) => new Promise((resolve) => {
+  const sentAt = Date.now();
+  socket.emit('clock_sync', { clientTime: sentAt }, (response) => {
+    const receivedAt = Date.now();
+    resolve({ rtt: receivedAt - sentAt, serverTime: response.serverTime, sentAt });
+  });
+});
+
+/**
+ * Estimate the offset to the server clock with a few round trips, keeping the
+ * sample with the lowest round-trip time (least skewed by network jitter)
+ */
+export async function syncClock(socket, samples = 5) {
+  let best = null;
+
+  for (let i = 0; i < samples; i++) {
+    const sample = await ping(socket);
+    if (typeof sample.serverTime !== 'number') return;
+    if (!best || sample.rtt < best.rtt) {
+      best = sample;
+    }
+  }
+
+  offset = best.serverTime - (best.sentAt + best.rtt / 2);
+  console.log(`⏱️ Clock synced (offset ${Math.round(offset)}ms, rtt ${best.rtt}ms)`);
+}
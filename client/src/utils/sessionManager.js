@@ -1,28 +1,28 @@
 // Session management for player reconnection
-const SESSION_KEY = 'mungers_session_id';
+const TOKEN_KEY = 'mungers_session_token';
 
 /**
- * Get or create a unique session ID for this player
+ * Get the signed session token the server issued on create/join
  * Stored in localStorage to persist across browser refreshes
  */
-export function getSessionId() {
-  let sessionId = localStorage.getItem(SESSION_KEY);
-  if (!sessionId) {
-    // Generate a new UUID
-    sessionId = crypto.randomUUID();
-    localStorage.setItem(SESSION_KEY, sessionId);
-    console.log('🆕 Created new session ID:', sessionId.substring(0, 8));
-  } else {
-    console.log('♻️ Retrieved existing session ID:', sessionId.substring(0, 8));
-  }
-  return sessionId;
+export function getSessionToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+/**
+ * Store a session token from the server
+ * The server rotates it on every reconnect, so the latest one must always be kept
+ */
+export function saveSessionToken(token) {
+  localStorage.setItem(TOKEN_KEY, token);
+  console.log('🔑 Saved session token');
 }
 
 /**
  * Clear the session (when user explicitly leaves or session expires)
  */
 export function clearSession() {
-  localStorage.removeItem(SESSION_KEY);
+  localStorage.removeItem(TOKEN_KEY);
   console.log('🗑️ Session cleared');
 }
 
@@ -30,5 +30,5 @@ export function clearSession() {
  * Check if a session exists
  */
 export function hasSession() {
-  return localStorage.getItem(SESSION_KEY) !== null;
+  return localStorage.getItem(TOKEN_KEY) !== null;
 }
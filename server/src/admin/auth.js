@@ -0,0 +1,20 @@
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Hash both sides so the comparison is constant-time regardless of length
+const digest = (value) => createHash('sha256').update(value).digest();
+
+// Express middleware: require `Authorization: Bearer <token>`
+export function requireToken(token) {
+  const expected = digest(token);
+
+  return (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, provided] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !provided || !timingSafeEqual(digest(provided), expected)) {
+      return res.status(401).json({ success: false, error: 'Invalid or missing admin token' });
+    }
+
+    next();
+  };
+}
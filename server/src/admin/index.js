@@ -0,0 +1 @@
+export { createAdminRouter } from './router.js';
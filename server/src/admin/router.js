@@ -0,0 +1,90 @@
+import express from 'express';
+import { requireToken } from './auth.js';
+import { logger } from '../logging/index.js';
+
+const MAX_ANNOUNCEMENT_LENGTH = 500;
+
+// Admin REST API. Every route requires the ADMIN_TOKEN bearer token.
+//   GET    /lobbies                               list lobbies with players
+//   GET    /lobbies/:code                         one lobby, including game state
+//   POST   /lobbies/:code/end-game                force-end the running game
+//   DELETE /lobbies/:code                         close the lobby
+//   POST   /lobbies/:code/players/:playerId/kick  kick a player ({ ban: true } to ban)
+//   POST   /announcements                         broadcast { message } to every socket
+export function createAdminRouter({ token, io, lobbyManager }) {
+  const router = express.Router();
+
+  router.use(requireToken(token));
+  router.use(express.json());
+
+  // Resolve :code to a lobby or 404
+  router.param('code', (req, res, next, code) => {
+    const lobby = lobbyManager.lobbies.get(code.toUpperCase());
+    if (!lobby) {
+      return res.status(404).json({ success: false, error: 'Lobby not found' });
+    }
+    req.lobby = lobby;
+    next();
+  });
+
+  router.get('/lobbies', (req, res) => {
+    const lobbies = Array.from(lobbyManager.lobbies.values()).map(lobby => {
+      const { game, ...info } = lobbyManager.getAdminLobbyInfo(lobby);
+      return info;
+    });
+    res.json({ success: true, lobbies });
+  });
+
+  router.get('/lobbies/:code', (req, res) => {
+    res.json({ success: true, lobby: lobbyManager.getAdminLobbyInfo(req.lobby) });
+  });
+
+  router.post('/lobbies/:code/end-game', (req, res) => {
+    const ended = lobbyManager.forceEndGame(req.lobby, 'The game was ended by an admin');
+    if (!ended) {
+      return res.status(409).json({ success: false, error: 'No game is running in this lobby' });
+    }
+    logger.info('Admin force-ended game', { lobbyCode: req.lobby.code });
+    res.json({ success: true });
+  });
+
+  router.delete('/lobbies/:code', (req, res) => {
+    lobbyManager.closeLobby(req.lobby, 'This lobby was closed by an admin');
+    logger.info('Admin closed lobby', { lobbyCode: req.lobby.code });
+    res.json({ success: true });
+  });
+
+  router.post('/lobbies/:code/players/:playerId/kick', (req, res) => {
+    const { lobby } = req;
+    const player = lobby.players.get(req.params.playerId);
+    if (!player) {
+      return res.status(404).json({ success: false, error: 'Player not found' });
+    }
+
+    const ban = req.body?.ban === true;
+    lobbyManager.removePlayer(lobby, player.id, {
+      ban,
+      message: ban ? 'You were banned from the lobby by an admin' : 'You were removed from the lobby by an admin'
+    });
+
+    logger.info(ban ? 'Admin banned player' : 'Admin kicked player', { lobbyCode: lobby.code, playerName: player.name });
+    res.json({ success: true });
+  });
+
+  router.post('/announcements', (req, res) => {
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+    if (!message || message.length > MAX_ANNOUNCEMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `message must be a non-empty string of at most ${MAX_ANNOUNCEMENT_LENGTH} characters`
+      });
+    }
+
+    io.emit('announcement', { message, timestamp: Date.now() });
+
+    logger.info('Admin broadcast announcement', { message, sockets: io.of('/').sockets.size });
+    res.json({ success: true });
+  });
+
+  return router;
+}
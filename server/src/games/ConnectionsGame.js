@@ -1,20 +1,22 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { cursorPosition } from '../validation/fields.js';
+import { metrics } from '../metrics/index.js';
+import { Game } from './Game.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-export class ConnectionsGame {
-  constructor(io, lobby, lobbyManager) {
-    this.io = io;
-    this.lobby = lobby;
-    this.lobbyManager = lobbyManager;
-    this.lobbyCode = lobby.code;
-
+export class ConnectionsGame extends Game {
+  constructor(io, lobby, lobbyManager, { seed } = {}) {
     // Game settings
-    this.isMegaMode = lobby.settings.megaMode || false;
-    this.puzzleCount = lobby.settings.puzzleCount || (this.isMegaMode ? 2 : 1);
+    const megaMode = lobby.settings.megaMode || false;
+    const puzzleCount = lobby.settings.puzzleCount || (megaMode ? 2 : 1);
+    super(io, lobby, lobbyManager, { gameType: 'connections', seed, settings: { megaMode, puzzleCount } });
+
+    this.isMegaMode = megaMode;
+    this.puzzleCount = puzzleCount;
 
     // Game state
     this.words = [];
@@ -29,18 +31,20 @@ export class ConnectionsGame {
     this.playerSelections = new Map(); // playerId -> Set of words
     this.playerScores = new Map(); // playerId -> score
     this.phase = 'playing'; // playing, won, lost
+    this.puzzleIds = []; // Archive ids of the puzzles on the board
   }
 
   start() {
-    console.log(`Starting Connections game in lobby ${this.lobbyCode}`);
+    this.log.info('Game started', { gameId: this.id, seed: this.random.seed });
+    this.replay.start(this.lobby.players.values());
 
     // Load and merge puzzles
     this.loadPuzzles();
 
-    console.log(`Loaded ${this.words.length} words for Connections game`);
+    this.log.debug('Loaded puzzle words', { wordCount: this.words.length });
 
     // Send initial game state
-    this.io.to(this.lobbyCode).emit('connections_start', {
+    this.broadcast('connections_start', {
       words: this.words,
       maxMistakes: this.maxMistakes,
       maxHints: this.maxHints,
@@ -48,7 +52,7 @@ export class ConnectionsGame {
       players: Array.from(this.lobby.players.values())
     });
 
-    console.log(`Emitted connections_start to lobby ${this.lobbyCode}`);
+    this.log.debug('Emitted connections_start');
   }
 
   loadPuzzles() {
@@ -59,11 +63,12 @@ export class ConnectionsGame {
 
     // Select random puzzles
     const selectedPuzzles = [];
-    const shuffled = [...allPuzzles].sort(() => Math.random() - 0.5);
+    const shuffled = this.random.shuffle(allPuzzles);
 
     for (let i = 0; i < this.puzzleCount && i < shuffled.length; i++) {
       selectedPuzzles.push(shuffled[i]);
     }
+    this.puzzleIds = selectedPuzzles.map(puzzle => puzzle.id);
 
     // Merge puzzles
     if (this.isMegaMode && selectedPuzzles.length > 1) {
@@ -74,7 +79,7 @@ export class ConnectionsGame {
     }
 
     // Shuffle words
-    this.words = this.words.sort(() => Math.random() - 0.5);
+    this.words = this.random.shuffle(this.words);
   }
 
   mergePuzzles(puzzles) {
@@ -86,7 +91,7 @@ export class ConnectionsGame {
         // Check for duplicate words
         const categoryWords = category.words.filter(word => {
           if (allWords.has(word)) {
-            console.warn(`Duplicate word detected: ${word}. Skipping category.`);
+            this.log.warn('Duplicate word detected, skipping category', { word, category: category.name });
             return false;
           }
           return true;
@@ -103,7 +108,7 @@ export class ConnectionsGame {
     this.categories = mergedCategories;
     this.words = Array.from(allWords);
 
-    console.log(`Mega mode: Merged ${puzzles.length} puzzles into ${this.categories.length} categories`);
+    this.log.info('Mega mode: merged puzzles', { puzzles: puzzles.length, categories: this.categories.length });
   }
 
   updateCursor(socket, data) {
@@ -111,14 +116,14 @@ export class ConnectionsGame {
     const x = Math.max(0, Math.min(100, parseFloat(data.x) || 0));
     const y = Math.max(0, Math.min(100, parseFloat(data.y) || 0));
 
-    this.playerCursors.set(socket.id, { x, y });
+    this.playerCursors.set(socket.data.playerId, { x, y });
 
-    const player = this.lobby.players.get(socket.id);
+    const player = this.lobby.players.get(socket.data.playerId);
     if (!player) return; // Player not in lobby
 
     // Broadcast to others in lobby (exclude sender)
     socket.broadcast.to(this.lobbyCode).emit('cursor_update', {
-      playerId: socket.id,
+      playerId: socket.data.playerId,
       playerName: player.name,
       playerColor: player.color || '#888',
       x,
@@ -146,7 +151,7 @@ export class ConnectionsGame {
     }
 
     // Broadcast selection update
-    this.io.to(this.lobbyCode).emit('selection_update', {
+    this.broadcast('selection_update', {
       playerId,
       selections: Array.from(selections)
     });
@@ -159,6 +164,7 @@ export class ConnectionsGame {
 
     const player = this.lobby.players.get(playerId);
     const wordSet = new Set(words);
+    this.replay.record('group_submitted', { playerId, words });
 
     // Check if this matches any category
     const matchedCategory = this.categories.find(cat => {
@@ -179,14 +185,14 @@ export class ConnectionsGame {
       // Clear selections for this player
       this.playerSelections.set(playerId, new Set());
 
-      this.io.to(this.lobbyCode).emit('category_solved', {
+      this.broadcast('category_solved', {
         category: matchedCategory,
         solvedBy: player?.name || 'Unknown',
         playerId
       });
 
       // Broadcast score update
-      this.io.to(this.lobbyCode).emit('score_update', {
+      this.broadcast('score_update', {
         playerId,
         score: this.playerScores.get(playerId),
         playerName: player?.name || 'Unknown'
@@ -203,7 +209,7 @@ export class ConnectionsGame {
 
       this.mistakeCount++;
 
-      this.io.to(this.lobbyCode).emit('mistake_made', {
+      this.broadcast('mistake_made', {
         playerId,
         playerName: player?.name || 'Unknown',
         mistakeCount: this.mistakeCount,
@@ -211,7 +217,7 @@ export class ConnectionsGame {
       });
 
       // Broadcast score update
-      this.io.to(this.lobbyCode).emit('score_update', {
+      this.broadcast('score_update', {
         playerId,
         score: this.playerScores.get(playerId),
         playerName: player?.name || 'Unknown'
@@ -226,38 +232,89 @@ export class ConnectionsGame {
 
   endGame(won) {
     this.phase = won ? 'won' : 'lost';
+    metrics.gamesFinished.inc({ game_type: 'connections', result: this.phase });
 
     // Prepare scores array with player info
-    const scores = Array.from(this.playerScores.entries()).map(([playerId, score]) => {
-      const player = this.lobby.players.get(playerId);
-      return {
-        playerId,
-        playerName: player?.name || 'Unknown',
-        score
-      };
-    }).sort((a, b) => b.score - a.score); // Sort by score descending
+    const scores = Array.from(this.playerScores.entries()).map(([playerId, score]) => ({
+      playerId,
+      playerName: this.playerName(playerId),
+      score
+    })).sort((a, b) => b.score - a.score); // Sort by score descending
 
-    this.io.to(this.lobbyCode).emit('connections_end', {
+    this.broadcast('connections_end', {
+      gameId: this.id,
       won,
       categories: this.categories,
       solvedCategories: this.solvedCategories,
       scores
     });
 
-    // Return lobby to gamemode selection after delay
-    setTimeout(() => {
-      // Check if lobby still exists
-      if (!this.lobbyManager.lobbies.has(this.lobbyCode)) {
-        return;
-      }
+    // Everyone seated at the start is listed, including players who left mid-game
+    const scoreById = new Map(scores.map(({ playerId, score }) => [playerId, score]));
+    this.finish({ won, scores }, {
+      players: this.replay.players.map(({ id, name }) => ({
+        id,
+        name,
+        score: scoreById.get(id) ?? 0,
+        left: !this.lobby.players.has(id)
+      })),
+      winner: won ? 'players' : null,
+      puzzleIds: this.puzzleIds,
+      mistakes: this.mistakeCount,
+      hintsUsed: this.hintsUsed
+    });
+  }
+
+  // Plain-object snapshot of the game state for persistence
+  serialize() {
+    return {
+      ...super.serialize(),
+      isMegaMode: this.isMegaMode,
+      puzzleCount: this.puzzleCount,
+      words: this.words,
+      categories: this.categories,
+      solvedCategories: this.solvedCategories,
+      mistakeCount: this.mistakeCount,
+      maxMistakes: this.maxMistakes,
+      hintsUsed: this.hintsUsed,
+      maxHints: this.maxHints,
+      revealedHints: this.revealedHints,
+      playerSelections: Array.from(this.playerSelections.entries())
+        .map(([playerId, selections]) => [playerId, Array.from(selections)]),
+      playerScores: Array.from(this.playerScores.entries()),
+      phase: this.phase,
+      puzzleIds: this.puzzleIds
+    };
+  }
+
+  restore(data) {
+    super.restore(data);
+
+    this.isMegaMode = data.isMegaMode;
+    this.puzzleCount = data.puzzleCount;
+    this.words = data.words;
+    this.categories = data.categories;
+    this.solvedCategories = data.solvedCategories;
+    this.mistakeCount = data.mistakeCount;
+    this.maxMistakes = data.maxMistakes;
+    this.hintsUsed = data.hintsUsed;
+    this.maxHints = data.maxHints;
+    this.revealedHints = data.revealedHints;
+    this.playerSelections = new Map(data.playerSelections
+      .map(([playerId, selections]) => [playerId, new Set(selections)]));
+    this.playerScores = new Map(data.playerScores);
+    this.phase = data.phase;
+    this.puzzleIds = data.puzzleIds || [];
+  }
 
-      this.lobby.state = 'selecting';
-      this.lobby.gameType = null;
-      this.lobby.game = null;
+  // Connections has no timers, so a restored game only needs to finish
+  // returning to the lobby if it had already ended
+  resume() {
+    this.log.info('Resuming game', { phase: this.phase });
 
-      console.log(`Lobby ${this.lobbyCode} returning to gamemode selection`);
-      this.lobbyManager.broadcastLobbyUpdate(this.lobbyCode);
-    }, 5000);
+    if (this.phase !== 'playing') {
+      this.returnToLobby();
+    }
   }
 
   addPlayer(playerId) {
@@ -266,60 +323,43 @@ export class ConnectionsGame {
     this.playerSelections.set(playerId, new Set());
     this.playerScores.set(playerId, 0); // Initialize score for new player
 
-    // Wait for client to mount component and set up listeners before sending state
-    setTimeout(() => {
-      // Send current game state to new player
-      this.io.to(playerId).emit('connections_start', {
-        words: this.words,
-        maxMistakes: this.maxMistakes,
-        maxHints: this.maxHints,
-        isMegaMode: this.isMegaMode,
-        players: Array.from(this.lobby.players.values())
-      });
-
-      // Send already solved categories
-      for (const categoryName of this.solvedCategories) {
-        const category = this.categories.find(c => c.name === categoryName);
-        if (category) {
-          this.io.to(playerId).emit('category_solved', {
-            category,
-            solvedBy: 'Previous players',
-            playerId: 'system'
-          });
-        }
-      }
-
-      // Send current hint count and any revealed hints
-      if (this.revealedHints.length > 0) {
-        this.io.to(playerId).emit('sync_hints', {
-          hintsUsed: this.hintsUsed,
-          maxHints: this.maxHints,
-          revealedHints: this.revealedHints
-        });
-      }
+    this.sendSnapshot(playerId);
 
-      // Send current mistake count
-      if (this.mistakeCount > 0) {
-        this.io.to(playerId).emit('mistake_made', {
-          playerId: 'system',
-          playerName: 'System',
-          mistakeCount: this.mistakeCount,
-          maxMistakes: this.maxMistakes
-        });
-      }
+    this.log.info('Player joined mid-session', { playerId });
+  }
 
-      // Send current scores for all players
-      for (const [scorePlayerId, score] of this.playerScores.entries()) {
-        const player = this.lobby.players.get(scorePlayerId);
-        this.io.to(playerId).emit('score_update', {
-          playerId: scorePlayerId,
-          score,
-          playerName: player?.name || 'Unknown'
-        });
-      }
+  // Everything a client needs to render the game from scratch, as seen by
+  // playerId. Sent as game_state_sync to late joiners and reconnecting players.
+  getSnapshot(playerId) {
+    const solved = this.solvedCategories
+      .map(name => this.categories.find(c => c.name === name))
+      .filter(Boolean);
+    const solvedWords = new Set(solved.flatMap(c => c.words));
 
-      console.log(`Player ${playerId} joined Connections game mid-session`);
-    }, 500); // 500ms delay to ensure client is ready
+    return {
+      words: this.words.filter(w => !solvedWords.has(w)),
+      maxMistakes: this.maxMistakes,
+      maxHints: this.maxHints,
+      isMegaMode: this.isMegaMode,
+      players: Array.from(this.lobby.players.values()),
+      solvedCategories: solved,
+      mistakeCount: this.mistakeCount,
+      hintsUsed: this.hintsUsed,
+      revealedHints: this.revealedHints,
+      scores: Array.from(this.playerScores.entries()).map(([id, score]) => ({
+        playerId: id,
+        playerName: this.playerName(id),
+        score
+      })),
+      mySelections: Array.from(this.playerSelections.get(playerId) || []),
+      otherSelections: Array.from(this.playerSelections.entries())
+        .filter(([id, selections]) => id !== playerId && selections.size > 0)
+        .map(([id, selections]) => ({ playerId: id, selections: Array.from(selections) })),
+      phase: this.phase,
+      // The answers are only revealed once the game is over
+      categories: this.phase === 'playing' ? null : this.categories,
+      paused: this.paused
+    };
   }
 
   useHint(playerId) {
@@ -337,21 +377,20 @@ export class ConnectionsGame {
     if (unsolvedCategories.length === 0) return;
 
     // Pick a random unsolved category
-    const categoryIndex = Math.floor(Math.random() * unsolvedCategories.length);
-    const hintCategory = unsolvedCategories[categoryIndex];
+    const hintCategory = this.random.pick(unsolvedCategories);
 
     this.hintsUsed++;
     this.revealedHints.push(hintCategory.name);
 
     // Send hint to all players
-    this.io.to(this.lobbyCode).emit('hint_revealed', {
+    this.broadcast('hint_revealed', {
       categoryName: hintCategory.name,
       hintsUsed: this.hintsUsed,
       maxHints: this.maxHints,
       usedBy: player?.name || 'Unknown'
     });
 
-    console.log(`Hint used in lobby ${this.lobbyCode}: ${hintCategory.name}`);
+    this.log.info('Hint used', { category: hintCategory.name, playerName: player?.name });
   }
 
   shuffleWords(playerId) {
@@ -362,15 +401,15 @@ export class ConnectionsGame {
     const player = this.lobby.players.get(playerId);
 
     // Shuffle the words array
-    this.words = this.words.sort(() => Math.random() - 0.5);
+    this.words = this.random.shuffle(this.words);
 
     // Broadcast the new word order to all players
-    this.io.to(this.lobbyCode).emit('words_shuffled', {
+    this.broadcast('words_shuffled', {
       words: this.words,
       shuffledBy: player?.name || 'Unknown'
     });
 
-    console.log(`Words shuffled by ${player?.name || 'Unknown'} in lobby ${this.lobbyCode}`);
+    this.log.debug('Words shuffled', { playerName: player?.name });
   }
 
   removePlayer(playerId) {
@@ -383,7 +422,8 @@ export class ConnectionsGame {
   }
 
   handlePlayerLeave(playerId) {
-    console.log(`[ConnectionsGame] Player ${playerId} is leaving the game`);
+    this.log.info('Player leaving game', { playerId });
+    this.replay.record('player_left', { playerId });
 
     // Remove from game state
     this.playerCursors.delete(playerId);
@@ -395,97 +435,17 @@ export class ConnectionsGame {
 
     // Connections is collaborative, so game can continue with remaining players
     // No minimum player count required
-    const remainingPlayers = Array.from(this.lobby.players.values()).length;
-    console.log(`  - Game continues with ${remainingPlayers} player(s)`);
+    const remainingPlayers = Array.from(this.lobby.players.keys()).filter(id => id !== playerId).length;
+    this.log.info('Game continues', { remainingPlayers });
   }
 
   playerDisconnected(playerId) {
     // Called when player temporarily disconnects (before grace period expires)
     // Remove their cursor from other players' views, but keep their selections/state
-    console.log(`[ConnectionsGame] Player ${playerId} disconnected - removing cursor`);
+    this.log.debug('Player disconnected, removing cursor', { playerId });
     this.io.to(this.lobbyCode).emit('cursor_remove', { playerId });
   }
 
-  restorePlayer(oldSocketId, newSocketId) {
-    console.log(`[ConnectionsGame] Restoring player: ${oldSocketId} -> ${newSocketId}`);
-
-    // Remove old cursor immediately to prevent duplicate cursors
-    this.io.to(this.lobbyCode).emit('cursor_remove', { playerId: oldSocketId });
-
-    // Restore selections
-    if (this.playerSelections.has(oldSocketId)) {
-      const selections = this.playerSelections.get(oldSocketId);
-      this.playerSelections.delete(oldSocketId);
-      this.playerSelections.set(newSocketId, selections);
-      console.log('  - Restored selections:', selections.size);
-    }
-
-    // Restore score
-    if (this.playerScores.has(oldSocketId)) {
-      const score = this.playerScores.get(oldSocketId);
-      this.playerScores.delete(oldSocketId);
-      this.playerScores.set(newSocketId, score);
-      console.log('  - Restored score:', score);
-    }
-
-    // Restore cursor position (optional, will be updated on next mouse move)
-    if (this.playerCursors.has(oldSocketId)) {
-      const cursor = this.playerCursors.get(oldSocketId);
-      this.playerCursors.delete(oldSocketId);
-      this.playerCursors.set(newSocketId, cursor);
-    }
-
-    // Wait for client to mount component and set up listeners before sending state
-    setTimeout(() => {
-      // Resend game state to reconnected player
-      const player = this.lobby.players.get(newSocketId);
-
-      // Send game start event
-      this.io.to(newSocketId).emit('connections_start', {
-        words: this.words,
-        maxMistakes: this.maxMistakes,
-        maxHints: this.maxHints,
-        players: Array.from(this.lobby.players.values())
-      });
-
-      // Send current mistake count
-      if (this.mistakeCount > 0) {
-        this.io.to(newSocketId).emit('mistake_made', {
-          playerName: 'System',
-          mistakeCount: this.mistakeCount,
-          maxMistakes: this.maxMistakes
-        });
-      }
-
-      // Send solved categories
-      for (const category of this.solvedCategories) {
-        this.io.to(newSocketId).emit('category_solved', {
-          category,
-          solvedBy: 'Previously solved'
-        });
-      }
-
-      // Send revealed hints
-      if (this.hintsUsed > 0 && this.revealedHints.length > 0) {
-        this.io.to(newSocketId).emit('sync_hints', {
-          hintsUsed: this.hintsUsed,
-          revealedHints: this.revealedHints
-        });
-      }
-
-      // Send current scores
-      this.io.to(newSocketId).emit('score_update', {
-        scores: Array.from(this.playerScores.entries()).map(([id, score]) => ({
-          playerId: id,
-          playerName: this.lobby.players.get(id)?.name || 'Unknown',
-          score
-        }))
-      });
-
-      console.log(`[ConnectionsGame] Player state fully restored`);
-    }, 500); // 500ms delay to ensure client is ready
-  }
-
   // Allow restarting the game with a new puzzle
   restart() {
     this.words = [];
@@ -499,3 +459,50 @@ export class ConnectionsGame {
     this.start();
   }
 }
+
+// A board word as sent by the client
+const word = { type: 'string', minLength: 1, maxLength: 50 };
+
+export const connectionsModule = {
+  id: 'connections',
+  name: 'Connections',
+  description: 'Collaborative word puzzle',
+  icon: '🧩',
+  tip: 'Work together to find groups of four related words!',
+  minPlayers: 1,
+  maxPlayers: 8,
+  midGameJoin: 'player',
+  settings: {
+    megaMode: { type: 'boolean', default: false, label: 'Mega Mode (Combine Multiple Puzzles)' },
+    puzzleCount: { type: 'number', default: 1, options: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], label: 'Number of Puzzles', unit: 'puzzles', showIf: 'megaMode' }
+  },
+  events: {
+    cursor_move: {
+      schema: cursorPosition,
+      rateLimit: { capacity: 30, refillPerSecond: 25, coalesce: true },
+      allowWhilePaused: true,
+      handle: (game, socket, data) => game.updateCursor(socket, data)
+    },
+    select_word: {
+      schema: { type: 'object', properties: { word } },
+      rateLimit: { capacity: 10, refillPerSecond: 8 },
+      handle: (game, socket, data) => game.selectWord(socket.data.playerId, data.word)
+    },
+    submit_group: {
+      schema: { type: 'object', properties: { words: { type: 'array', minItems: 4, maxItems: 4, items: word } } },
+      rateLimit: { capacity: 3, refillPerSecond: 1 },
+      handle: (game, socket, data) => game.submitGroup(socket.data.playerId, data.words)
+    },
+    use_hint: {
+      schema: null,
+      rateLimit: { capacity: 2, refillPerSecond: 0.5 },
+      handle: (game, socket) => game.useHint(socket.data.playerId)
+    },
+    shuffle_words: {
+      schema: null,
+      rateLimit: { capacity: 3, refillPerSecond: 0.5 },
+      handle: (game, socket) => game.shuffleWords(socket.data.playerId)
+    }
+  },
+  Game: ConnectionsGame
+};
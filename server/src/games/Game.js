@@ -0,0 +1,185 @@
+import { randomUUID } from 'crypto';
+import { logger } from '../logging/index.js';
+import { Random } from './Random.js';
+import { ReplayRecorder, replayStore } from '../replay/index.js';
+import { matchHistory } from '../history/index.js';
+
+// What every game type shares: the lobby it runs in, its timers, RNG and replay,
+// host pause, sending (and recording) events, the end-of-game wrap-up and
+// persistence of the shared fields. Subclasses pass their gameType and resolved
+// settings up, and add their own state and rules (see registry.js).
+export class Game {
+  constructor(io, lobby, lobbyManager, { gameType, seed, settings }) {
+    this.io = io;
+    this.lobby = lobby;
+    this.lobbyManager = lobbyManager;
+    this.lobbyCode = lobby.code;
+    this.gameType = gameType;
+    this.settings = settings;
+    this.log = logger.child({ lobbyCode: lobby.code, gameType });
+
+    this.scheduler = lobby.scheduler.child('game'); // Cancelled along with the lobby's timers
+    this.random = new Random(seed); // All of the game's randomness, reproducible from random.seed
+    this.id = randomUUID();
+    this.replay = new ReplayRecorder({
+      gameId: this.id,
+      gameType,
+      lobbyCode: this.lobbyCode,
+      seed: this.random.seed,
+      settings
+    });
+    this.deadline = null; // Epoch ms the current timed step ends at - clients count down to it
+    this.paused = false;
+    this.pausedAt = null;
+  }
+
+  // Cancel all pending timers for good, e.g. when the game is force-ended or its lobby closes
+  stop() {
+    this.scheduler.close();
+  }
+
+  // Host pause: freeze timers with their remaining time until unpause()
+  pause() {
+    if (this.paused) return false;
+
+    this.paused = true;
+    this.pausedAt = Date.now();
+    this.scheduler.pause();
+
+    this.broadcast('game_paused', { pausedAt: this.pausedAt });
+    this.log.info('Game paused');
+    return true;
+  }
+
+  unpause() {
+    if (!this.paused) return false;
+
+    const pausedFor = Date.now() - this.pausedAt;
+    this.paused = false;
+    this.pausedAt = null;
+    this.scheduler.resume();
+
+    // The running step gets back the time it had left
+    if (this.deadline) {
+      this.deadline += pausedFor;
+    }
+
+    this.broadcast('game_resumed', { deadline: this.deadline });
+    this.log.info('Game unpaused', { pausedSeconds: Math.round(pausedFor / 1000) });
+    return true;
+  }
+
+  // Milliseconds left until the deadline, held where it was while paused
+  timeRemaining() {
+    if (!this.deadline) return 0;
+    return Math.max(0, this.deadline - (this.paused ? this.pausedAt : Date.now()));
+  }
+
+  // Send to everyone in the lobby, recording it for the replay
+  broadcast(event, payload) {
+    this.io.to(this.lobbyCode).emit(event, payload);
+    this.replay.record(event, payload);
+  }
+
+  // Send to one player, recording it for the replay
+  sendTo(playerId, event, payload) {
+    this.io.to(playerId).emit(event, payload);
+    this.replay.record(event, payload, playerId);
+  }
+
+  // A client that hasn't mounted the game yet asks for the same snapshot
+  // with request_game_state once its listeners are in place
+  sendSnapshot(playerId) {
+    this.io.to(playerId).emit('game_state_sync', this.getSnapshot(playerId));
+  }
+
+  // Players who left mid-game are no longer in the lobby, so fall back to the
+  // name they had when the game started
+  playerName(playerId) {
+    return this.lobby.players.get(playerId)?.name
+      ?? this.replay.players.find(p => p.id === playerId)?.name
+      ?? 'Unknown';
+  }
+
+  // Called by endGame() once the end payload is out. `result` goes into the
+  // replay; `match` is the game-specific part of the match history record.
+  finish(result, match) {
+    // Players leaving can end a paused game; nobody can resume it from the end
+    // screen, so lift the pause or returnToLobby below would never fire
+    if (this.unpause()) {
+      this.lobbyManager.broadcastLobbyUpdate(this.lobbyCode);
+    }
+
+    replayStore.save(this.replay.finish(result));
+    this.recordMatch(match);
+
+    // Return lobby to gamemode selection after delay
+    this.scheduler.schedule('returnToLobby', 5000, () => this.returnToLobby());
+  }
+
+  recordMatch(match) {
+    const endedAt = Date.now();
+
+    matchHistory.record({
+      gameId: this.id,
+      gameType: this.gameType,
+      lobbyCode: this.lobbyCode,
+      startedAt: this.replay.startedAt,
+      endedAt,
+      durationMs: endedAt - this.replay.startedAt,
+      seed: this.random.seed,
+      settings: this.settings,
+      ...match
+    });
+  }
+
+  returnToLobby() {
+    // Check if lobby still exists
+    if (!this.lobbyManager.lobbies.has(this.lobbyCode)) {
+      return;
+    }
+
+    // Clear spectator flags for all players
+    for (const player of this.lobby.players.values()) {
+      player.isSpectator = false;
+    }
+
+    this.lobby.state = 'selecting';
+    this.lobby.gameType = null;
+    this.lobby.game = null;
+    this.scheduler.close();
+
+    this.log.info('Returning to gamemode selection');
+    this.lobbyManager.broadcastLobbyUpdate(this.lobbyCode);
+  }
+
+  // Plain-object snapshot of the game state for persistence. Subclasses add
+  // their own state to this and read it back in restore().
+  serialize() {
+    return {
+      settings: this.settings,
+      random: this.random.serialize(),
+      id: this.id,
+      replay: this.replay.serialize()
+    };
+  }
+
+  restore(data) {
+    if (data.settings) {
+      this.settings = data.settings;
+    }
+    if (data.random) {
+      this.random = Random.fromSnapshot(data.random);
+    }
+    if (data.replay) {
+      this.id = data.id;
+      this.replay = ReplayRecorder.fromSnapshot(data.replay);
+    }
+  }
+
+  static fromSnapshot(io, lobby, lobbyManager, data) {
+    const game = new this(io, lobby, lobbyManager);
+    game.restore(data);
+    return game;
+  }
+}
@@ -1,20 +1,24 @@
-export class ImposterGame {
-  constructor(io, lobby, lobbyManager) {
-    this.io = io;
-    this.lobby = lobby;
-    this.lobbyManager = lobbyManager;
-    this.lobbyCode = lobby.code;
+import { playerId, cursorPosition } from '../validation/fields.js';
+import { filterText, contentRejected } from '../moderation/index.js';
+import { metrics } from '../metrics/index.js';
+import { Game } from './Game.js';
 
+export class ImposterGame extends Game {
+  constructor(io, lobby, lobbyManager, { seed } = {}) {
     // Game settings with defaults
-    this.settings = {
-      imposterCount: lobby.settings.imposterCount || 1,
-      turnTimeLimit: lobby.settings.turnTimeLimit || 30,
-      votingTimeLimit: lobby.settings.votingTimeLimit || 30,
-      maxRounds: lobby.settings.maxRounds || 5,
-      giveHintWord: lobby.settings.giveHintWord || false,
-      randomEliminationOnTie: lobby.settings.randomEliminationOnTie || true,
-      winnerOnMaxRounds: lobby.settings.winnerOnMaxRounds || 'innocents'
-    };
+    super(io, lobby, lobbyManager, {
+      gameType: 'imposter',
+      seed,
+      settings: {
+        imposterCount: lobby.settings.imposterCount || 1,
+        turnTimeLimit: lobby.settings.turnTimeLimit || 30,
+        votingTimeLimit: lobby.settings.votingTimeLimit || 30,
+        maxRounds: lobby.settings.maxRounds || 5,
+        giveHintWord: lobby.settings.giveHintWord || false,
+        randomEliminationOnTie: lobby.settings.randomEliminationOnTie || true,
+        winnerOnMaxRounds: lobby.settings.winnerOnMaxRounds || 'innocents'
+      }
+    });
 
     // Game state
     this.targetWord = '';
@@ -27,30 +31,42 @@ export class ImposterGame {
     this.submittedWords = new Map(); // playerId -> word
     this.votes = new Map(); // playerId -> targetPlayerId
     this.eliminatedPlayers = new Set();
+    this.startingRoles = {}; // playerId -> role dealt at the start, kept after they leave
     this.phase = 'starting'; // starting, turn, voting, roundEnd, gameEnd
     this.turnTimer = null;
     this.votingTimer = null;
   }
 
   start() {
-    console.log(`Starting Imposter game in lobby ${this.lobbyCode}`);
+    this.log.info('Game started', { gameId: this.id, seed: this.random.seed });
+    this.replay.start(this.lobby.players.values());
 
     // Assign roles
     this.assignRoles();
+    for (const [id, player] of this.lobby.players) {
+      this.startingRoles[id] = player.isSpectator ? 'spectator' : this.imposters.has(id) ? 'imposter' : 'innocent';
+    }
 
     // Select words
     this.selectWords();
 
+    this.replay.record('roles_assigned', {
+      imposters: Array.from(this.imposters),
+      innocents: Array.from(this.innocents),
+      targetWord: this.targetWord,
+      hintWord: this.hintWord
+    });
+
     // Send role information to each player
     this.sendRoleInfo();
 
     // Start first round
-    setTimeout(() => this.startRound(), 2000);
+    this.scheduler.schedule('startRound', 2000, () => this.startRound());
   }
 
   assignRoles() {
     const playerIds = Array.from(this.lobby.players.keys());
-    const shuffled = [...playerIds].sort(() => Math.random() - 0.5);
+    const shuffled = this.random.shuffle(playerIds);
 
     for (let i = 0; i < this.settings.imposterCount && i < shuffled.length; i++) {
       this.imposters.add(shuffled[i]);
@@ -74,26 +90,63 @@ export class ImposterGame {
       { target: 'OCEAN', hint: 'LAKE' }
     ];
 
-    const pair = wordPairs[Math.floor(Math.random() * wordPairs.length)];
+    const pair = this.random.pick(wordPairs);
     this.targetWord = pair.target;
     this.hintWord = pair.hint;
   }
 
   sendRoleInfo() {
-    for (const [playerId, player] of this.lobby.players) {
-      const isSpectator = player.isSpectator;
-      const isImposter = this.imposters.has(playerId);
-
-      this.io.to(playerId).emit('game_start', {
-        role: isSpectator ? 'spectator' : (isImposter ? 'imposter' : 'innocent'),
-        word: isSpectator ? null : (isImposter ? (this.settings.giveHintWord ? this.hintWord : null) : this.targetWord),
+    for (const playerId of this.lobby.players.keys()) {
+      this.sendTo(playerId, 'game_start', {
+        ...this.getRoleInfo(playerId),
         imposterCount: this.settings.imposterCount,
-        isSpectator: isSpectator,
         players: Array.from(this.lobby.players.values())
       });
     }
   }
 
+  // What a player is allowed to know about their own role
+  getRoleInfo(playerId) {
+    const isSpectator = !!this.lobby.players.get(playerId)?.isSpectator;
+    const isImposter = this.imposters.has(playerId);
+
+    return {
+      role: isSpectator ? 'spectator' : (isImposter ? 'imposter' : 'innocent'),
+      word: isSpectator ? null : (isImposter ? (this.settings.giveHintWord ? this.hintWord : null) : this.targetWord),
+      isSpectator
+    };
+  }
+
+  // Everything a client needs to render the game from scratch, as seen by
+  // playerId. Sent as game_state_sync to late joiners and reconnecting players.
+  getSnapshot(playerId) {
+    const inTurn = this.phase === 'turn' && this.currentTurnIndex < this.turnOrder.length;
+    const currentPlayerId = inTurn ? this.turnOrder[this.currentTurnIndex] : null;
+    const timed = inTurn || this.phase === 'voting';
+
+    return {
+      ...this.getRoleInfo(playerId),
+      imposterCount: this.settings.imposterCount,
+      players: Array.from(this.lobby.players.values()),
+      phase: this.phase === 'starting' ? 'waiting' : this.phase,
+      round: this.currentRound,
+      totalRounds: this.settings.maxRounds,
+      currentPlayerId,
+      currentPlayerName: currentPlayerId ? this.playerName(currentPlayerId) : null,
+      submittedWords: Array.from(this.submittedWords.entries()).map(([id, word]) => ({
+        playerId: id,
+        playerName: this.playerName(id),
+        word
+      })),
+      eliminatedPlayers: Array.from(this.eliminatedPlayers),
+      vote: this.votes.get(playerId) || null,
+      // While paused the deadline is still moving, so clients show the frozen remainder instead
+      deadline: timed && !this.paused ? this.deadline : null,
+      timeRemaining: timed ? Math.ceil(this.timeRemaining() / 1000) : 0,
+      paused: this.paused
+    };
+  }
+
   startRound() {
     this.currentRound++;
     this.currentTurnIndex = 0;
@@ -102,17 +155,16 @@ export class ImposterGame {
     this.phase = 'turn';
 
     // Create turn order (exclude eliminated players and spectators)
-    this.turnOrder = Array.from(this.lobby.players.entries())
+    this.turnOrder = this.random.shuffle(Array.from(this.lobby.players.entries())
       .filter(([id, player]) => !this.eliminatedPlayers.has(id) && !player.isSpectator)
-      .map(([id]) => id)
-      .sort(() => Math.random() - 0.5);
+      .map(([id]) => id));
 
-    this.io.to(this.lobbyCode).emit('round_start', {
+    this.broadcast('round_start', {
       round: this.currentRound,
       totalRounds: this.settings.maxRounds
     });
 
-    setTimeout(() => this.startNextTurn(), 1000);
+    this.scheduler.schedule('startNextTurn', 1000, () => this.startNextTurn());
   }
 
   startNextTurn() {
@@ -122,23 +174,25 @@ export class ImposterGame {
     }
 
     const currentPlayerId = this.turnOrder[this.currentTurnIndex];
-    const player = this.lobby.players.get(currentPlayerId);
+    this.deadline = Date.now() + this.settings.turnTimeLimit * 1000;
 
-    this.io.to(this.lobbyCode).emit('turn_start', {
+    this.broadcast('turn_start', {
       playerId: currentPlayerId,
-      playerName: player.name,
-      timeLimit: this.settings.turnTimeLimit
+      playerName: this.playerName(currentPlayerId),
+      timeLimit: this.settings.turnTimeLimit,
+      deadline: this.deadline
     });
 
     // Set turn timer
-    this.turnTimer = setTimeout(() => {
+    this.turnTimer = this.scheduler.schedule('turnTimeout', this.settings.turnTimeLimit * 1000, () => {
       // Auto-skip if no word submitted
       if (!this.submittedWords.has(currentPlayerId)) {
         this.submittedWords.set(currentPlayerId, '[No word]');
+        this.replay.record('turn_skipped', { playerId: currentPlayerId });
         this.currentTurnIndex++;
         this.startNextTurn();
       }
-    }, this.settings.turnTimeLimit * 1000);
+    });
   }
 
   submitWord(playerId, word) {
@@ -148,16 +202,16 @@ export class ImposterGame {
       return;
     }
 
-    clearTimeout(this.turnTimer);
+    this.scheduler.cancel(this.turnTimer);
     this.submittedWords.set(playerId, word);
 
-    this.io.to(this.lobbyCode).emit('word_submitted', {
+    this.broadcast('word_submitted', {
       playerId,
       word
     });
 
     this.currentTurnIndex++;
-    setTimeout(() => this.startNextTurn(), 1500);
+    this.scheduler.schedule('startNextTurn', 1500, () => this.startNextTurn());
   }
 
   startVoting() {
@@ -165,18 +219,21 @@ export class ImposterGame {
 
     const wordsList = Array.from(this.submittedWords.entries()).map(([id, word]) => ({
       playerId: id,
-      playerName: this.lobby.players.get(id).name,
+      playerName: this.playerName(id),
       word
     }));
 
-    this.io.to(this.lobbyCode).emit('voting_start', {
+    this.deadline = Date.now() + this.settings.votingTimeLimit * 1000;
+
+    this.broadcast('voting_start', {
       words: wordsList,
-      timeLimit: this.settings.votingTimeLimit
+      timeLimit: this.settings.votingTimeLimit,
+      deadline: this.deadline
     });
 
-    this.votingTimer = setTimeout(() => {
+    this.votingTimer = this.scheduler.schedule('votingTimeout', this.settings.votingTimeLimit * 1000, () => {
       this.endVoting();
-    }, this.settings.votingTimeLimit * 1000);
+    });
   }
 
   castVote(playerId, targetId) {
@@ -187,12 +244,18 @@ export class ImposterGame {
       return;
     }
 
+    // Only players still in the round can be voted for
+    if (!this.turnOrder.includes(targetId) || this.eliminatedPlayers.has(targetId)) {
+      return;
+    }
+
     this.votes.set(playerId, targetId);
+    this.replay.record('vote_cast', { voterId: playerId, targetId });
 
     // Check if all active (non-spectator, non-eliminated) players voted
     const activePlayers = this.turnOrder.filter(id => !this.eliminatedPlayers.has(id));
     if (this.votes.size >= activePlayers.length) {
-      clearTimeout(this.votingTimer);
+      this.scheduler.cancel(this.votingTimer);
       this.endVoting();
     }
   }
@@ -226,7 +289,7 @@ export class ImposterGame {
     if (playersWithMaxVotes.length === 1) {
       eliminatedId = playersWithMaxVotes[0];
     } else if (playersWithMaxVotes.length > 1 && this.settings.randomEliminationOnTie) {
-      eliminatedId = playersWithMaxVotes[Math.floor(Math.random() * playersWithMaxVotes.length)];
+      eliminatedId = this.random.pick(playersWithMaxVotes);
     }
 
     if (eliminatedId) {
@@ -235,21 +298,21 @@ export class ImposterGame {
 
     const voteResults = Array.from(voteCounts.entries()).map(([id, count]) => ({
       playerId: id,
-      playerName: this.lobby.players.get(id).name,
+      playerName: this.playerName(id),
       votes: count
     }));
 
-    this.io.to(this.lobbyCode).emit('voting_result', {
+    this.broadcast('voting_result', {
       votes: voteResults,
       eliminated: eliminatedId ? {
         playerId: eliminatedId,
-        playerName: this.lobby.players.get(eliminatedId).name,
+        playerName: this.playerName(eliminatedId),
         wasImposter: this.imposters.has(eliminatedId)
       } : null
     });
 
     // Check win conditions
-    setTimeout(() => this.checkWinCondition(), 3000);
+    this.scheduler.schedule('checkWinCondition', 3000, () => this.checkWinCondition());
   }
 
   checkWinCondition() {
@@ -274,40 +337,100 @@ export class ImposterGame {
   }
 
   endGame(winner) {
+    if (this.phase === 'gameEnd') return;
     this.phase = 'gameEnd';
 
-    this.io.to(this.lobbyCode).emit('game_end', {
+    // Whatever was queued up (next turn, win check) is moot now
+    this.scheduler.cancelAll();
+    metrics.gamesFinished.inc({ game_type: 'imposter', result: winner });
+
+    this.broadcast('game_end', {
+      gameId: this.id,
       winner,
       targetWord: this.targetWord,
       imposters: Array.from(this.imposters).map(id => ({
         playerId: id,
-        playerName: this.lobby.players.get(id).name
+        playerName: this.playerName(id)
       })),
       innocents: Array.from(this.innocents).map(id => ({
         playerId: id,
-        playerName: this.lobby.players.get(id).name
+        playerName: this.playerName(id)
       }))
     });
 
-    // Return lobby to gamemode selection after delay
-    setTimeout(() => {
-      // Check if lobby still exists
-      if (!this.lobbyManager.lobbies.has(this.lobbyCode)) {
-        return;
-      }
+    // Everyone seated at the start is listed, including players who left mid-game
+    this.finish({ winner }, {
+      players: this.replay.players.map(({ id, name }) => ({
+        id,
+        name,
+        role: this.startingRoles[id],
+        eliminated: this.eliminatedPlayers.has(id),
+        left: !this.lobby.players.has(id)
+      })),
+      winner,
+      targetWord: this.targetWord,
+      rounds: this.currentRound
+    });
+  }
 
-      // Clear spectator flags for all players
-      for (const [playerId, player] of this.lobby.players) {
-        player.isSpectator = false;
-      }
+  // Plain-object snapshot of the game state for persistence
+  serialize() {
+    return {
+      ...super.serialize(),
+      targetWord: this.targetWord,
+      hintWord: this.hintWord,
+      imposters: Array.from(this.imposters),
+      innocents: Array.from(this.innocents),
+      currentRound: this.currentRound,
+      currentTurnIndex: this.currentTurnIndex,
+      turnOrder: this.turnOrder,
+      submittedWords: Array.from(this.submittedWords.entries()),
+      votes: Array.from(this.votes.entries()),
+      eliminatedPlayers: Array.from(this.eliminatedPlayers),
+      startingRoles: this.startingRoles,
+      phase: this.phase
+    };
+  }
 
-      this.lobby.state = 'selecting';
-      this.lobby.gameType = null;
-      this.lobby.game = null;
+  restore(data) {
+    super.restore(data);
+
+    this.targetWord = data.targetWord;
+    this.hintWord = data.hintWord;
+    this.imposters = new Set(data.imposters);
+    this.innocents = new Set(data.innocents);
+    this.currentRound = data.currentRound;
+    this.currentTurnIndex = data.currentTurnIndex;
+    this.turnOrder = data.turnOrder;
+    this.submittedWords = new Map(data.submittedWords);
+    this.votes = new Map(data.votes);
+    this.eliminatedPlayers = new Set(data.eliminatedPlayers);
+    this.startingRoles = data.startingRoles || {};
+    this.phase = data.phase;
+  }
 
-      console.log(`Lobby ${this.lobbyCode} returning to gamemode selection`);
-      this.lobbyManager.broadcastLobbyUpdate(this.lobbyCode);
-    }, 5000);
+  // Restart timers for a game restored from a snapshot. Timers aren't
+  // persisted, so the current turn/vote restarts with its full time limit.
+  resume() {
+    this.log.info('Resuming game', { phase: this.phase });
+
+    switch (this.phase) {
+      case 'starting':
+        this.scheduler.schedule('startRound', 2000, () => this.startRound());
+        break;
+      case 'turn':
+        this.scheduler.schedule('startNextTurn', 2000, () => this.startNextTurn());
+        break;
+      case 'voting':
+        this.scheduler.schedule('startVoting', 2000, () => this.startVoting());
+        break;
+      case 'roundEnd':
+        this.scheduler.schedule('checkWinCondition', 2000, () => this.checkWinCondition());
+        break;
+      case 'gameEnd':
+        this.returnToLobby();
+        break;
+    }
   }
 
   updateCursor(socket, data) {
@@ -315,12 +438,12 @@ export class ImposterGame {
     const x = Math.max(0, Math.min(100, parseFloat(data.x) || 0));
     const y = Math.max(0, Math.min(100, parseFloat(data.y) || 0));
 
-    const player = this.lobby.players.get(socket.id);
+    const player = this.lobby.players.get(socket.data.playerId);
     if (!player) return; // Player not in lobby
 
     // Broadcast to others in lobby (exclude sender)
     socket.broadcast.to(this.lobbyCode).emit('imposter_cursor_update', {
-      playerId: socket.id,
+      playerId: socket.data.playerId,
       playerName: player.name,
       playerColor: player.color || '#888',
       x,
@@ -337,66 +460,9 @@ export class ImposterGame {
     // Mark as spectator
     player.isSpectator = true;
 
-    // Wait for client to mount component and set up listeners before sending state
-    setTimeout(() => {
-      // Send game start info to spectator
-      this.io.to(playerId).emit('game_start', {
-        role: 'spectator',
-        word: null,
-        imposterCount: this.settings.imposterCount,
-        isSpectator: true,
-        players: Array.from(this.lobby.players.values())
-      });
-
-      // If game has started, send current round info
-      if (this.currentRound > 0) {
-        this.io.to(playerId).emit('round_start', {
-          round: this.currentRound,
-          totalRounds: this.settings.maxRounds
-        });
-      }
-
-      // If currently in a turn, send turn info
-      if (this.phase === 'turn' && this.currentTurnIndex < this.turnOrder.length) {
-        const currentPlayerId = this.turnOrder[this.currentTurnIndex];
-        const currentPlayer = this.lobby.players.get(currentPlayerId);
+    this.sendSnapshot(playerId);
 
-        this.io.to(playerId).emit('turn_start', {
-          playerId: currentPlayerId,
-          playerName: currentPlayer?.name || 'Unknown',
-          timeLimit: this.settings.turnTimeLimit
-        });
-      }
-
-      // Send already submitted words
-      if (this.submittedWords.size > 0) {
-        const wordsList = Array.from(this.submittedWords.entries()).map(([id, word]) => ({
-          playerId: id,
-          playerName: this.lobby.players.get(id)?.name || 'Unknown',
-          word
-        }));
-
-        for (const wordData of wordsList) {
-          this.io.to(playerId).emit('word_submitted', wordData);
-        }
-      }
-
-      // If in voting phase, send voting info
-      if (this.phase === 'voting') {
-        const wordsList = Array.from(this.submittedWords.entries()).map(([id, word]) => ({
-          playerId: id,
-          playerName: this.lobby.players.get(id)?.name || 'Unknown',
-          word
-        }));
-
-        this.io.to(playerId).emit('voting_start', {
-          words: wordsList,
-          timeLimit: this.settings.votingTimeLimit
-        });
-      }
-
-      console.log(`Player ${playerId} joined Imposter game as spectator`);
-    }, 500); // 500ms delay to ensure client is ready
+    this.log.info('Player joined as spectator', { playerId });
   }
 
   removePlayer(playerId) {
@@ -405,7 +471,8 @@ export class ImposterGame {
   }
 
   handlePlayerLeave(playerId) {
-    console.log(`[ImposterGame] Player ${playerId} is leaving the game`);
+    this.log.info('Player leaving game', { playerId });
+    this.replay.record('player_left', { playerId });
 
     const player = this.lobby.players.get(playerId);
     const wasImposter = this.imposters.has(playerId);
@@ -418,6 +485,13 @@ export class ImposterGame {
     this.submittedWords.delete(playerId);
     this.votes.delete(playerId);
 
+    // Votes against them no longer count
+    for (const [voterId, targetId] of this.votes) {
+      if (targetId === playerId) {
+        this.votes.delete(voterId);
+      }
+    }
+
     // Remove from turn order
     const turnIndex = this.turnOrder.indexOf(playerId);
     if (turnIndex !== -1) {
@@ -425,11 +499,11 @@ export class ImposterGame {
 
       // If it was this player's turn, adjust current turn index
       if (this.phase === 'turn' && turnIndex === this.currentTurnIndex) {
-        console.log('  - Player left during their turn, skipping to next');
-        clearTimeout(this.turnTimer);
+        this.log.info('Player left during their turn, skipping to next', { playerId });
+        this.scheduler.cancel(this.turnTimer);
         // Don't increment currentTurnIndex since we removed the current player
         // Just start next turn immediately
-        setTimeout(() => this.startNextTurn(), 500);
+        this.scheduler.schedule('startNextTurn', 500, () => this.startNextTurn());
       } else if (turnIndex < this.currentTurnIndex) {
         // Player before current turn left, adjust index
         this.currentTurnIndex--;
@@ -440,18 +514,19 @@ export class ImposterGame {
     if (this.phase === 'voting') {
       const activePlayers = this.turnOrder.filter(id => !this.eliminatedPlayers.has(id));
       if (this.votes.size >= activePlayers.length) {
-        console.log('  - All remaining players voted, ending voting early');
-        clearTimeout(this.votingTimer);
+        this.log.info('All remaining players voted, ending voting early');
+        this.scheduler.cancel(this.votingTimer);
         this.endVoting();
       }
     }
 
-    // Check game viability - need at least 3 active non-spectator players
+    // Check game viability - need at least 3 active non-spectator players. The
+    // lobby may still list the leaver while it tells the game, so skip them.
     const activePlayers = Array.from(this.lobby.players.values())
-      .filter(p => !p.isSpectator && !this.eliminatedPlayers.has(p.id));
+      .filter(p => p.id !== playerId && !p.isSpectator && !this.eliminatedPlayers.has(p.id));
 
     if (activePlayers.length < 3) {
-      console.log('  - Not enough players to continue, ending game');
+      this.log.info('Not enough players to continue, ending game');
       this.endGame('draw');
       return;
     }
@@ -461,144 +536,76 @@ export class ImposterGame {
     const activeInnocents = Array.from(this.innocents).filter(id => !this.eliminatedPlayers.has(id));
 
     if (activeImposters.length === 0) {
-      console.log('  - All imposters left, innocents win');
+      this.log.info('All imposters left, innocents win');
       this.endGame('innocents');
       return;
     }
 
     if (activeInnocents.length === 0) {
-      console.log('  - All innocents left, imposters win');
+      this.log.info('All innocents left, imposters win');
       this.endGame('imposters');
       return;
     }
 
     if (activeImposters.length >= activeInnocents.length) {
-      console.log('  - Imposters now outnumber innocents, imposters win');
+      this.log.info('Imposters now outnumber innocents, imposters win');
       this.endGame('imposters');
       return;
     }
 
-    console.log(`  - Game continues with ${activeImposters.length} imposters and ${activeInnocents.length} innocents`);
+    this.log.info('Game continues', { imposters: activeImposters.length, innocents: activeInnocents.length });
   }
 
   playerDisconnected(playerId) {
     // Called when player temporarily disconnects (before grace period expires)
     // Remove their cursor from other players' views
-    console.log(`[ImposterGame] Player ${playerId} disconnected - removing cursor`);
+    this.log.debug('Player disconnected, removing cursor', { playerId });
     this.io.to(this.lobbyCode).emit('imposter_cursor_remove', { playerId });
   }
+}
 
-  restorePlayer(oldSocketId, newSocketId) {
-    console.log(`[ImposterGame] Restoring player: ${oldSocketId} -> ${newSocketId}`);
-
-    // Remove old cursor immediately to prevent duplicate cursors
-    this.io.to(this.lobbyCode).emit('imposter_cursor_remove', { playerId: oldSocketId });
-
-    // Update player references in game state
-    if (this.imposters.has(oldSocketId)) {
-      this.imposters.delete(oldSocketId);
-      this.imposters.add(newSocketId);
-      console.log('  - Restored as imposter');
-    }
-
-    if (this.innocents.has(oldSocketId)) {
-      this.innocents.delete(oldSocketId);
-      this.innocents.add(newSocketId);
-      console.log('  - Restored as innocent');
-    }
-
-    // Update eliminated players
-    if (this.eliminatedPlayers.has(oldSocketId)) {
-      this.eliminatedPlayers.delete(oldSocketId);
-      this.eliminatedPlayers.add(newSocketId);
-      console.log('  - Restored eliminated status');
-    }
-
-    // Update submitted words
-    if (this.submittedWords.has(oldSocketId)) {
-      const word = this.submittedWords.get(oldSocketId);
-      this.submittedWords.delete(oldSocketId);
-      this.submittedWords.set(newSocketId, word);
-      console.log('  - Restored submitted word');
-    }
-
-    // Update votes
-    if (this.votes.has(oldSocketId)) {
-      const vote = this.votes.get(oldSocketId);
-      this.votes.delete(oldSocketId);
-      this.votes.set(newSocketId, vote);
-      console.log('  - Restored vote');
-    }
-
-    // Update turn order if this player is in it
-    const turnIndex = this.turnOrder.indexOf(oldSocketId);
-    if (turnIndex !== -1) {
-      this.turnOrder[turnIndex] = newSocketId;
-      console.log('  - Updated turn order');
-    }
-
-    // Wait for client to mount component and set up listeners before sending state
-    setTimeout(() => {
-      // Resend role info to reconnected player
-      const isImposter = this.imposters.has(newSocketId);
-      const isEliminated = this.eliminatedPlayers.has(newSocketId);
-
-      this.io.to(newSocketId).emit('game_start', {
-        role: isImposter ? 'imposter' : 'innocent',
-        word: isImposter ? (this.settings.giveHintWord ? this.hintWord : null) : this.targetWord,
-        imposterCount: this.settings.imposterCount,
-        isSpectator: false,
-        players: Array.from(this.lobby.players.values())
-      });
-
-      // Resend current round info
-      if (this.currentRound > 0) {
-        this.io.to(newSocketId).emit('round_start', {
-          round: this.currentRound,
-          totalRounds: this.settings.maxRounds
-        });
-      }
-
-      // Resend current phase info
-      if (this.phase === 'turn' && this.currentTurnIndex < this.turnOrder.length) {
-        const currentPlayerId = this.turnOrder[this.currentTurnIndex];
-        const currentPlayer = this.lobby.players.get(currentPlayerId);
-
-        this.io.to(newSocketId).emit('turn_start', {
-          playerId: currentPlayerId,
-          playerName: currentPlayer?.name || 'Unknown',
-          timeLimit: this.settings.turnTimeLimit
-        });
-      }
-
-      // Resend submitted words
-      if (this.submittedWords.size > 0) {
-        const wordsList = Array.from(this.submittedWords.entries()).map(([id, word]) => ({
-          playerId: id,
-          playerName: this.lobby.players.get(id)?.name || 'Unknown',
-          word
-        }));
-
-        for (const wordData of wordsList) {
-          this.io.to(newSocketId).emit('word_submitted', wordData);
+export const imposterModule = {
+  id: 'imposter',
+  name: 'Imposter',
+  description: 'Social deduction word game',
+  icon: '🕵️',
+  tip: 'Innocents get the secret word. Imposters must blend in!',
+  minPlayers: 3,
+  maxPlayers: 10,
+  midGameJoin: 'spectator',
+  settings: {
+    imposterCount: { type: 'number', default: 1, options: [1, 2, 3], label: 'Number of Imposters', belowPlayerCount: true },
+    turnTimeLimit: { type: 'number', default: 30, options: [15, 30, 45, 60], label: 'Turn Time Limit', unit: 'seconds' },
+    votingTimeLimit: { type: 'number', default: 30, options: [15, 30, 45, 60], label: 'Voting Time Limit', unit: 'seconds' },
+    maxRounds: { type: 'number', default: 5, options: [3, 4, 5, 6, 7, 8], label: 'Max Rounds', unit: 'rounds' },
+    giveHintWord: { type: 'boolean', default: false, label: 'Give Imposters a Hint Word' },
+    randomEliminationOnTie: { type: 'boolean', default: true, label: 'Random Elimination on Vote Tie' },
+    winnerOnMaxRounds: { type: 'enum', default: 'innocents', options: ['innocents', 'imposters'], label: 'Winner if Max Rounds Reached' }
+  },
+  events: {
+    submit_word: {
+      schema: { type: 'object', properties: { word: { type: 'string', notBlank: true, maxLength: 30 } } },
+      rateLimit: { capacity: 3, refillPerSecond: 1 },
+      handle: (game, socket, data) => {
+        const result = filterText(socket, 'submit_word', data.word.trim());
+        if (!result.allowed) {
+          socket.emit('content_rejected', { event: 'submit_word', ...contentRejected('Your clue') });
+          return;
         }
+        game.submitWord(socket.data.playerId, result.text);
       }
-
-      // Resend voting phase if active
-      if (this.phase === 'voting') {
-        const wordsList = Array.from(this.submittedWords.entries()).map(([id, word]) => ({
-          playerId: id,
-          playerName: this.lobby.players.get(id)?.name || 'Unknown',
-          word
-        }));
-
-        this.io.to(newSocketId).emit('voting_start', {
-          words: wordsList,
-          timeLimit: this.settings.votingTimeLimit
-        });
-      }
-
-      console.log(`[ImposterGame] Player state fully restored`);
-    }, 500); // 500ms delay to ensure client is ready
-  }
-}
+    },
+    cast_vote: {
+      schema: { type: 'object', properties: { targetId: playerId } },
+      rateLimit: { capacity: 3, refillPerSecond: 1 },
+      handle: (game, socket, data) => game.castVote(socket.data.playerId, data.targetId)
+    },
+    imposter_cursor_move: {
+      schema: cursorPosition,
+      rateLimit: { capacity: 30, refillPerSecond: 25, coalesce: true },
+      allowWhilePaused: true,
+      handle: (game, socket, data) => game.updateCursor(socket, data)
+    }
+  },
+  Game: ImposterGame
+};
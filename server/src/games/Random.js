@@ -0,0 +1,53 @@
+import { randomInt } from 'crypto';
+
+// Seedable PRNG (mulberry32) for everything random in game code. A game records
+// its seed, so replaying the same seed against the same players and inputs
+// reproduces role assignment, turn orders, puzzle picks and shuffles exactly.
+export class Random {
+  constructor(seed = Random.newSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed; // Advances with every draw; persisted so a restored game continues the sequence
+  }
+
+  static newSeed() {
+    return randomInt(0x100000000);
+  }
+
+  // Float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  // Integer in [0, max)
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  // Unbiased Fisher-Yates shuffle; returns a new array
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  serialize() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  static fromSnapshot(data) {
+    const random = new Random(data.seed);
+    random.state = data.state;
+    return random;
+  }
+}
@@ -0,0 +1,9 @@
+import { registerGame } from './registry.js';
+import { imposterModule } from './ImposterGame.js';
+import { connectionsModule } from './ConnectionsGame.js';
+
+// To add a game, write its module and register it here
+registerGame(imposterModule);
+registerGame(connectionsModule);
+
+export { getGame, hasGame, listGames, getGameEvents } from './registry.js';
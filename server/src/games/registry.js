@@ -0,0 +1,82 @@
+// Registry of playable game types. Each game module describes itself with:
+//   id, name, description, icon  - identity and display metadata
+//   tip                          - optional hint shown in the lobby once the game is picked
+//   minPlayers, maxPlayers       - player limits; maxPlayers is also the default lobby capacity
+//                                  (null falls back to DEFAULT_MAX_PLAYERS)
+//   midGameJoin                  - 'player' or 'spectator' for players joining a running game
+//   settings                     - settings schema: key -> { type, default, options?, label }, where type is
+//                                  'number', 'boolean' or 'enum' (number and enum need options). The lobby
+//                                  renders the host's controls from it; optional display hints are unit
+//                                  (option labels like "30 seconds"), showIf (only shown while that boolean
+//                                  setting is on) and belowPlayerCount (options must be under the player count)
+//   events                       - socket event name -> { schema, rateLimit, allowWhilePaused, handle(game, socket, data) },
+//                                  where schema validates the payload (see validation/) or is null,
+//                                  rateLimit is an optional per-socket budget (see ratelimit/limits.js)
+//                                  and allowWhilePaused lets the event through while the host has paused
+//                                  (for cosmetic events like cursors; gameplay events are dropped).
+//                                  Such events also don't count as lobby activity for the idle reaper
+//   Game                         - subclass of Game (games/Game.js) constructed with (io, lobby, lobbyManager,
+//                                  { seed }). Game provides stop(), pause(), unpause(), static fromSnapshot()
+//                                  and the replay/match history wrap-up in finish(); the subclass implements
+//                                  start(), resume(), getSnapshot(playerId) (the game_state_sync payload for
+//                                  that player), serialize()/restore() for its own state, plus the optional
+//                                  player hooks addPlayer(), removePlayer(), playerDisconnected() and
+//                                  handlePlayerLeave() (called while the leaver is still in lobby.players,
+//                                  so player counts must skip them). Game events are routed by the running game's own
+//                                  gameType, so they reach the game that is playing even if the lobby changes
+//   Players are keyed by a stable per-lobby player id (socket.data.playerId in event handlers), not
+//   socket.id, so a reconnect needs no game hook - the lobby re-binds the socket and sends a snapshot.
+//   io.to(playerId) reaches the player's current socket.
+//   Games draw all randomness from a Random (games/Random.js) built from the seed option, or a fresh
+//   seed when it's undefined, and log and serialize it so any game can be reproduced.
+//   Games send through broadcast()/sendTo() so everything besides cursors lands in their replay
+//   (see replay/), and call finish() when they end, putting their gameId in the end payload so
+//   clients can fetch the replay.
+//   Games schedule every timer through lobby.scheduler.child() (see lobby/Scheduler.js), never raw
+//   setTimeout, so pausing, ending or tearing down the lobby cancels or freezes all of them.
+const games = new Map(); // gameId -> GameModule
+
+export function registerGame(module) {
+  if (games.has(module.id)) {
+    throw new Error(`Game type already registered: ${module.id}`);
+  }
+
+  // Event names are global on the socket, so each one can only have one payload schema
+  for (const event of Object.keys(module.events)) {
+    const owner = Array.from(games.values()).find(game => event in game.events);
+    if (owner) {
+      throw new Error(`Event ${event} of ${module.id} is already handled by ${owner.id}`);
+    }
+  }
+
+  games.set(module.id, module);
+}
+
+export function getGame(id) {
+  return games.get(id) || null;
+}
+
+export function hasGame(id) {
+  return games.has(id);
+}
+
+// Display metadata for clients (no classes or handlers)
+export function listGames() {
+  return Array.from(games.values()).map(game => ({
+    id: game.id,
+    name: game.name,
+    description: game.description,
+    icon: game.icon,
+    tip: game.tip || null,
+    minPlayers: game.minPlayers,
+    maxPlayers: game.maxPlayers,
+    settings: game.settings
+  }));
+}
+
+// Every socket event handled by any registered game, with its payload schema and rate limit
+export function getGameEvents() {
+  return Array.from(games.values()).flatMap(game =>
+    Object.entries(game.events).map(([event, { schema, rateLimit }]) => ({ event, schema, rateLimit }))
+  );
+}
@@ -0,0 +1,73 @@
+import { readFile, appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { logger } from '../logging/index.js';
+
+// One record per finished game, appended as a JSON line to `filePath` so
+// writing a match never rewrites the ones before it. The whole history is
+// also kept in memory for querying. Without a file path nothing touches disk.
+export class MatchHistory {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.matches = []; // Oldest first
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.filePath) return;
+
+    let raw;
+    try {
+      raw = await readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return; // No matches played yet
+      }
+      throw error;
+    }
+
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.matches.push(JSON.parse(line));
+      } catch {
+        // A crash mid-append can leave a partial last line - skip it
+        logger.warn('Skipping unreadable match history line', { file: this.filePath });
+      }
+    }
+    logger.info('Loaded match history', { matches: this.matches.length });
+  }
+
+  record(match) {
+    this.matches.push(match);
+    if (!this.filePath) return;
+
+    // Appends are chained so lines never interleave
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await appendFile(this.filePath, `${JSON.stringify(match)}\n`, 'utf-8');
+      })
+      .catch(error => logger.error('Failed to write match history', { gameId: match.gameId, error }));
+  }
+
+  // Newest first. Every filter is optional:
+  //   player    player name, case-insensitive
+  //   gameType  e.g. 'imposter'
+  //   from, to  epoch ms bounds on when the match ended (inclusive)
+  query({ player, gameType, from, to, limit, offset = 0 }) {
+    const name = player?.toLowerCase();
+
+    const matches = this.matches.filter(match =>
+      (!name || match.players.some(p => p.name.toLowerCase() === name)) &&
+      (!gameType || match.gameType === gameType) &&
+      (from == null || match.endedAt >= from) &&
+      (to == null || match.endedAt <= to)
+    ).reverse();
+
+    return { total: matches.length, matches: matches.slice(offset, offset + limit) };
+  }
+
+  async flush() {
+    await this.pendingWrite;
+  }
+}
@@ -0,0 +1,14 @@
+import { MatchHistory } from './MatchHistory.js';
+
+export { createMatchRouter } from './router.js';
+
+// MATCH_HISTORY_DRIVER: 'file' (default) or 'memory'
+// MATCH_HISTORY_FILE: JSON lines file for the file driver
+const driver = process.env.MATCH_HISTORY_DRIVER || 'file';
+if (driver !== 'file' && driver !== 'memory') {
+  throw new Error(`Unknown MATCH_HISTORY_DRIVER: ${driver}`);
+}
+
+export const matchHistory = new MatchHistory(
+  driver === 'file' ? process.env.MATCH_HISTORY_FILE || './data/match-history.jsonl' : null
+);
@@ -0,0 +1,43 @@
+import express from 'express';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Accepts epoch ms or anything Date can parse (e.g. 2024-05-01); null if unset
+function parseDate(value) {
+  if (value === undefined || value === '') return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+// Public match history.
+//   GET /?player=&gameType=&from=&to=&limit=&offset=
+// from/to bound when the match ended; a bare date for `to` covers that whole day.
+export function createMatchRouter({ history }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const { player, gameType } = req.query;
+
+    if ((player && typeof player !== 'string') || (gameType && typeof gameType !== 'string')) {
+      return res.status(400).json({ success: false, error: 'player and gameType can only be given once' });
+    }
+
+    const from = parseDate(req.query.from);
+    let to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ success: false, error: 'from and to must be dates or epoch milliseconds' });
+    }
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to += 24 * 60 * 60 * 1000 - 1;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const result = history.query({ player, gameType, from, to, limit, offset });
+    res.json({ success: true, ...result });
+  });
+
+  return router;
+}
@@ -3,6 +3,16 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import { LobbyManager } from './lobby/LobbyManager.js';
+import { listGames, getGameEvents } from './games/index.js';
+import { validate, eventSchemas, rejectPayload } from './validation/index.js';
+import { createSocketRateLimiter } from './ratelimit/index.js';
+import { createStore } from './persistence/index.js';
+import { logger, sessionTag } from './logging/index.js';
+import { registry, metrics, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './metrics/index.js';
+import { createAdminRouter } from './admin/index.js';
+import { verifySessionToken } from './lobby/sessionToken.js';
+import { replayStore, createReplayRouter } from './replay/index.js';
+import { matchHistory, createMatchRouter } from './history/index.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -21,107 +31,273 @@ const io = new Server(httpServer, {
   }
 });
 
-// Initialize lobby manager
-const lobbyManager = new LobbyManager(io);
+// Rate limits declared by game modules, keyed by event
+const gameRateLimits = Object.fromEntries(
+  getGameEvents().filter(({ rateLimit }) => rateLimit).map(({ event, rateLimit }) => [event, rateLimit])
+);
+
+// Initialize lobby manager and restore any state saved before the last restart
+const lobbyManager = new LobbyManager(io, createStore());
+await lobbyManager.restoreState();
+await matchHistory.load();
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+  if (lobbyManager.shuttingDown) {
+    return res.status(503).json({ status: 'shutting_down' });
+  }
   res.json({ status: 'ok', lobbies: lobbyManager.getStats() });
 });
 
+// Prometheus scrape endpoint
+metrics.activeSockets.collect(gauge => gauge.set({}, io.of('/').sockets.size));
+metrics.lobbies.collect(gauge => {
+  for (const { state, gameType, count } of lobbyManager.countLobbies()) {
+    gauge.set({ state, game_type: gameType || 'none' }, count);
+  }
+});
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(registry.render());
+});
+
+// Replays of finished games, linked from the end screen
+app.use('/api/replays', createReplayRouter({ replays: replayStore }));
+
+// Finished games, filterable by player, game type and date
+app.use('/api/matches', createMatchRouter({ history: matchHistory }));
+
+// Admin API - only available when ADMIN_TOKEN is set
+if (process.env.ADMIN_TOKEN) {
+  app.use('/api/admin', createAdminRouter({ token: process.env.ADMIN_TOKEN, io, lobbyManager }));
+} else {
+  logger.info('Admin API disabled (set ADMIN_TOKEN to enable)');
+}
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  const sessionId = socket.handshake.auth?.sessionId;
-  console.log(`Client connected: ${socket.id}${sessionId ? ' (session: ' + sessionId.substring(0, 8) + ')' : ''}`);
+  const sessionToken = socket.handshake.auth?.sessionToken;
+  const verified = sessionToken ? verifySessionToken(sessionToken) : null;
+  logger.info('Client connected', { socketId: socket.id, session: sessionTag(verified?.sessionId) });
 
-  // Attempt reconnection if session exists
-  if (sessionId) {
-    lobbyManager.attemptReconnection(socket, sessionId);
+  // Attempt reconnection if the client holds a token we signed
+  if (verified) {
+    lobbyManager.attemptReconnection(socket, verified);
+  } else if (sessionToken) {
+    logger.warn('Rejected forged or malformed session token', { socketId: socket.id });
+    socket.emit('session_invalid', {
+      reason: 'invalid',
+      message: 'Your session could not be verified. Please rejoin the lobby.'
+    });
   }
 
+  // Per-event token buckets; clients that keep flooding past their budget get disconnected
+  const rateLimiter = createSocketRateLimiter(gameRateLimits, (event, violations) => {
+    logger.warn('Disconnecting client for flooding', { socketId: socket.id, violations, lastEvent: event });
+    socket.emit('rate_limited', { error: 'Too many requests - disconnected' });
+    socket.disconnect(true);
+  });
+
+  // Register an event handler behind rate limiting and payload validation. The handler
+  // gets the validated payload and an ack callback (a no-op if the client didn't send one),
+  // and may return a promise.
+  const on = (event, schema, handler) => {
+    socket.on(event, (...args) => {
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const data = args[0];
+
+      const allowed = rateLimiter.handle(event, () => {
+        if (schema) {
+          const errors = validate(schema, data);
+          if (errors.length > 0) {
+            metrics.socketEvents.inc({ event, outcome: 'invalid' });
+            return rejectPayload(socket, event, errors, callback);
+          }
+        }
+
+        // A handler that throws, synchronously or through its promise, fails just this
+        // event instead of taking the process (and every other lobby) down with it
+        const fail = (error) => {
+          logger.error('Event handler failed', { event, socketId: socket.id, error });
+          metrics.socketEvents.inc({ event, outcome: 'error' });
+          if (callback) {
+            callback({ success: false, code: 'INTERNAL_ERROR', error: 'Something went wrong, please try again' });
+          }
+        };
+
+        const startedAt = process.hrtime.bigint();
+        try {
+          const result = handler(data, callback || (() => {}));
+          if (result instanceof Promise) {
+            result.catch(fail);
+          }
+        } catch (error) {
+          fail(error);
+          return;
+        }
+        lobbyManager.recordActivity(socket, event);
+        metrics.eventDuration.observe({ event }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        metrics.socketEvents.inc({ event, outcome: 'handled' });
+      });
+
+      if (!allowed) {
+        metrics.socketEvents.inc({ event, outcome: 'rate_limited' });
+        if (callback) {
+          callback({ success: false, code: 'RATE_LIMITED', error: 'Too many requests, slow down' });
+        }
+      }
+    });
+  };
+
   // Lobby events
-  socket.on('create_lobby', (data, callback) => {
-    lobbyManager.createLobby(socket, data, callback);
+  on('create_lobby', eventSchemas.create_lobby, (data, callback) => {
+    return lobbyManager.createLobby(socket, data, callback);
   });
 
-  socket.on('join_lobby', (data, callback) => {
-    lobbyManager.joinLobby(socket, data, callback);
+  on('join_lobby', eventSchemas.join_lobby, (data, callback) => {
+    return lobbyManager.joinLobby(socket, data, callback);
   });
 
-  socket.on('leave_lobby', () => {
+  on('leave_lobby', eventSchemas.leave_lobby, () => {
     lobbyManager.leaveLobby(socket);
   });
 
-  socket.on('get_lobby_list', (callback) => {
+  on('get_lobby_list', eventSchemas.get_lobby_list, (data, callback) => {
     const lobbies = lobbyManager.getPublicLobbies();
     callback({ success: true, lobbies });
   });
 
-  socket.on('select_gamemode', (data) => {
-    lobbyManager.selectGamemode(socket, data);
+  on('get_game_list', eventSchemas.get_game_list, (data, callback) => {
+    callback({ success: true, games: listGames() });
   });
 
-  socket.on('start_game', (data) => {
-    console.log(`[start_game] Received from ${socket.id}:`, data);
-    lobbyManager.startGame(socket, data);
+  on('update_lobby_visibility', eventSchemas.update_lobby_visibility, (data, callback) => {
+    return lobbyManager.updateLobbyVisibility(socket, data, callback);
   });
 
-  // Imposter game events
-  socket.on('submit_word', (data) => {
-    lobbyManager.handleImposterWord(socket, data);
+  on('update_lobby_capacity', eventSchemas.update_lobby_capacity, (data, callback) => {
+    lobbyManager.updateLobbyCapacity(socket, data, callback);
   });
 
-  socket.on('cast_vote', (data) => {
-    lobbyManager.handleImposterVote(socket, data);
+  on('leave_waitlist', eventSchemas.leave_waitlist, () => {
+    lobbyManager.leaveWaitlist(socket);
   });
 
-  socket.on('imposter_cursor_move', (data) => {
-    lobbyManager.handleImposterCursor(socket, data);
+  // Host moderation
+  on('kick_player', eventSchemas.kick_player, (data, callback) => {
+    lobbyManager.kickPlayer(socket, data, callback);
   });
 
-  // Connections game events
-  socket.on('cursor_move', (data) => {
-    lobbyManager.handleConnectionsCursor(socket, data);
+  on('ban_player', eventSchemas.ban_player, (data, callback) => {
+    lobbyManager.banPlayer(socket, data, callback);
   });
 
-  socket.on('select_word', (data) => {
-    lobbyManager.handleConnectionsSelection(socket, data);
+  on('transfer_host', eventSchemas.transfer_host, (data, callback) => {
+    lobbyManager.transferHost(socket, data, callback);
   });
 
-  // Lobby cursor events
-  socket.on('lobby_cursor_move', (data) => {
-    lobbyManager.handleLobbyCursor(socket, data);
+  // Chat
+  on('send_chat_message', eventSchemas.send_chat_message, (data, callback) => {
+    lobbyManager.sendChatMessage(socket, data, callback);
+  });
+
+  on('rename_player', eventSchemas.rename_player, (data, callback) => {
+    lobbyManager.renamePlayer(socket, data, callback);
   });
 
-  socket.on('submit_group', (data) => {
-    lobbyManager.handleConnectionsSubmit(socket, data);
+  on('select_gamemode', eventSchemas.select_gamemode, (data, callback) => {
+    lobbyManager.selectGamemode(socket, data, callback);
   });
 
-  socket.on('use_hint', () => {
-    lobbyManager.handleConnectionsHint(socket);
+  on('start_game', eventSchemas.start_game, (data, callback) => {
+    logger.debug('start_game received', { socketId: socket.id, data });
+    lobbyManager.startGame(socket, data, callback);
   });
 
-  socket.on('shuffle_words', () => {
-    lobbyManager.handleConnectionsShuffle(socket);
+  on('request_game_state', eventSchemas.request_game_state, () => {
+    lobbyManager.sendGameState(socket);
   });
 
-  socket.on('update_player_color', (data) => {
+  on('pause_game', eventSchemas.pause_game, (data, callback) => {
+    lobbyManager.pauseGame(socket, callback);
+  });
+
+  on('resume_game', eventSchemas.resume_game, (data, callback) => {
+    lobbyManager.resumeGame(socket, callback);
+  });
+
+  // Game events - each registered game declares the events it handles
+  for (const { event, schema } of getGameEvents()) {
+    on(event, schema, (data) => {
+      lobbyManager.handleGameEvent(socket, event, data);
+    });
+  }
+
+  // Lobby cursor events
+  on('lobby_cursor_move', eventSchemas.lobby_cursor_move, (data) => {
+    lobbyManager.handleLobbyCursor(socket, data);
+  });
+
+  on('update_player_color', eventSchemas.update_player_color, (data) => {
     lobbyManager.updatePlayerColor(socket, data);
   });
 
-  socket.on('leave_game', () => {
+  on('leave_game', eventSchemas.leave_game, () => {
     lobbyManager.leaveGame(socket);
   });
 
+  // Clock-offset handshake: clients compare serverTime with their own clock
+  // (corrected for round-trip time) to count down to server deadlines
+  on('clock_sync', eventSchemas.clock_sync, (data, callback) => {
+    callback({ clientTime: data.clientTime, serverTime: Date.now() });
+  });
+
   // Disconnection
   socket.on('disconnect', () => {
-    const sessionId = socket.handshake.auth?.sessionId;
-    console.log(`Client disconnected: ${socket.id}${sessionId ? ' (session: ' + sessionId.substring(0, 8) + ')' : ''}`);
+    rateLimiter.dispose();
+    const sessionId = socket.data.sessionId;
+    logger.info('Client disconnected', { socketId: socket.id, session: sessionTag(sessionId) });
     lobbyManager.handleDisconnect(socket, sessionId);
   });
 });
 
 const PORT = process.env.PORT || 3000;
 httpServer.listen(PORT, () => {
-  console.log(`🎮 Arcade server running on port ${PORT}`);
+  logger.info('Arcade server running', { port: PORT });
 });
+
+// Graceful shutdown: warn clients, flush state, then close the Socket.IO and
+// HTTP servers. Clients reconnect with their session token once we're back.
+const RESTART_ETA_SECONDS = parseInt(process.env.RESTART_ETA_SECONDS, 10) || 30;
+const SHUTDOWN_TIMEOUT = 10 * 1000;
+
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+
+  // Don't hang forever on a stuck write or connection
+  setTimeout(() => {
+    logger.error('Shutdown timed out, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+
+  try {
+    await lobbyManager.shutdown(RESTART_ETA_SECONDS);
+    await matchHistory.flush();
+  } catch (error) {
+    logger.error('Failed to shut down lobbies cleanly', { error });
+  }
+
+  // Closes every socket and the underlying HTTP server
+  io.close(() => {
+    logger.info('Server closed');
+    process.exit(0);
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
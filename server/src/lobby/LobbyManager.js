@@ -1,218 +1,456 @@
 import { customAlphabet } from 'nanoid';
-import { ImposterGame } from '../games/ImposterGame.js';
-import { ConnectionsGame } from '../games/ConnectionsGame.js';
+import { getGame, hasGame } from '../games/index.js';
+import { validate, gameSettingsSchema, rejectPayload } from '../validation/index.js';
+import { hashPassword, verifyPassword } from './lobbyPassword.js';
+import { newSessionId, newTokenNonce, createSessionToken } from './sessionToken.js';
+import { Scheduler } from './Scheduler.js';
+import { Random } from '../games/Random.js';
+import { filterText, contentRejected } from '../moderation/index.js';
+import { logger, sessionTag } from '../logging/index.js';
+import { metrics } from '../metrics/index.js';
 
 const nanoid = customAlphabet('ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789', 6);
+// Player ids are also socket.io room names, so they must never look like a lobby code
+const newPlayerId = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 12);
+
+const DISCONNECT_GRACE_PERIOD = 2 * 60 * 1000; // 2 minutes
+const SNAPSHOT_INTERVAL = 5 * 1000; // 5 seconds
+const SNAPSHOT_VERSION = 2;
+// Capacity for lobbies whose game has no limit of its own (or no game selected yet)
+const DEFAULT_MAX_PLAYERS = parseInt(process.env.DEFAULT_MAX_PLAYERS, 10) || 12;
+// Number of chat messages kept per lobby for players who join or reconnect later
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 100;
+// What to do when a name is already taken in a lobby: 'suffix' ("Alex 2") or 'reject'
+const DUPLICATE_NAME_POLICY = process.env.DUPLICATE_NAME_POLICY === 'reject' ? 'reject' : 'suffix';
+const MAX_NAME_LENGTH = 20;
+// Fixed seed for every game, so test and staging runs can pin outcomes. Leave
+// unset in production or every game plays out the same way.
+const GAME_SEED = process.env.GAME_SEED ? parseInt(process.env.GAME_SEED, 10) : undefined;
+// Lobbies nobody has done anything in for this long are closed...
+const LOBBY_IDLE_TIMEOUT = parseInt(process.env.LOBBY_IDLE_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+// ...after warning their players this long beforehand
+const LOBBY_IDLE_WARNING = parseInt(process.env.LOBBY_IDLE_WARNING_MS, 10) || 2 * 60 * 1000;
+const IDLE_SWEEP_INTERVAL = 15 * 1000;
+// Core events that don't count as activity: background polling and cursor movement.
+// Game events opt out the same way through allowWhilePaused (see games/registry.js)
+const PASSIVE_EVENTS = new Set(['get_lobby_list', 'get_game_list', 'clock_sync', 'request_game_state', 'lobby_cursor_move']);
 
 export class LobbyManager {
-  constructor(io) {
+  constructor(io, store = null) {
     this.io = io;
+    this.store = store; // Persistence backend (see persistence/)
     this.lobbies = new Map(); // lobbyCode -> Lobby
-    this.socketToLobby = new Map(); // socketId -> lobbyCode
+    this.socketToLobby = new Map(); // socketId -> lobbyCode (socket.data.playerId says which player it is)
     this.sessions = new Map(); // sessionId -> SessionData
-    this.disconnectedPlayers = new Map(); // socketId -> DisconnectData
+    this.disconnectedPlayers = new Map(); // playerId -> DisconnectData
+    this.socketToWaitlist = new Map(); // socketId -> lobbyCode (for players queued on a full lobby)
+    this.random = new Random(); // Lobby-level picks like default colors; games have their own
+    this.shuttingDown = false; // Set by shutdown(); no new lobbies after that
+    this.intervals = [];
 
     // Clean up expired sessions every 5 minutes
-    setInterval(() => this.cleanupExpiredSessions(), 5 * 60 * 1000);
+    this.intervals.push(setInterval(() => this.cleanupExpiredSessions(), 5 * 60 * 1000));
+
+    // Warn about and close lobbies that have gone idle
+    this.intervals.push(setInterval(() => this.reapIdleLobbies(), IDLE_SWEEP_INTERVAL));
+
+    // Periodically snapshot state so it survives a restart
+    if (this.store) {
+      this.intervals.push(setInterval(() => this.saveState(), SNAPSHOT_INTERVAL));
+    }
   }
 
-  createLobby(socket, data, callback) {
-    const { gameType, playerName, settings } = data;
-    const sessionId = socket.handshake.auth?.sessionId;
+  async createLobby(socket, data, callback) {
+    const { gameType, settings, visibility = 'public', password } = data;
+
+    if (this.shuttingDown) {
+      return callback({ success: false, error: 'The server is restarting, try again in a moment' });
+    }
+    if (this.isSeated(socket)) {
+      return callback({ success: false, error: 'Leave your current lobby first' });
+    }
+
+    const nameCheck = filterText(socket, 'create_lobby', data.playerName.trim());
+    if (!nameCheck.allowed) {
+      return callback(contentRejected('Name'));
+    }
+    const playerName = nameCheck.text;
+
+    if (visibility === 'password' && !password) {
+      return callback({ success: false, error: 'A password is required for password-protected lobbies' });
+    }
+
+    // Settings only mean something for a chosen game; they're checked again once one is selected
+    if (gameType && !this.validateSettings(socket, 'create_lobby', gameType, settings, callback)) {
+      return;
+    }
+
+    const passwordHash = visibility === 'password' ? await hashPassword(password) : null;
+
+    // The socket may have gone, taken a seat, or the server started shutting down, while the password hashed
+    if (!socket.connected) return;
+    if (this.shuttingDown) {
+      return callback({ success: false, error: 'The server is restarting, try again in a moment' });
+    }
+    if (this.isSeated(socket)) {
+      return callback({ success: false, error: 'Leave your current lobby first' });
+    }
+
     const lobbyCode = nanoid();
+    const player = { id: newPlayerId(), socketId: null, name: playerName, isHost: true, color: '#f59e0b' };
 
     const lobby = {
       code: lobbyCode,
       gameType: gameType || null, // null until selected, or use provided gameType for compatibility
-      host: socket.id,
-      players: new Map([[socket.id, { id: socket.id, name: playerName, isHost: true, color: '#f59e0b' }]]),
-      settings: settings || {},
+      host: player.id,
+      players: new Map([[player.id, player]]), // playerId -> Player; ids stay the same across reconnects
+      settings: (gameType && settings) || {},
       game: null,
-      state: gameType ? 'waiting' : 'selecting' // 'selecting' if no gameType provided, 'waiting' otherwise
+      state: gameType ? 'waiting' : 'selecting', // 'selecting' if no gameType provided, 'waiting' otherwise
+      visibility, // 'public' (listed), 'unlisted' (code only) or 'password' (listed, locked)
+      passwordHash,
+      maxPlayers: null, // Host override; null uses the game's default (see getMaxPlayers)
+      waitlistEnabled: true,
+      waitlist: [], // [{ socketId, name, joinedAt }] queued while the lobby is full
+      bannedSessions: new Set(), // sessionIds the host has banned from rejoining
+      chat: [], // Most recent chat messages, oldest first (capped at CHAT_HISTORY_LIMIT)
+      lastActivity: Date.now(), // See recordActivity / reapIdleLobbies
+      idleWarningSent: false,
+      scheduler: new Scheduler(`lobby ${lobbyCode}`) // Owns every timer for this lobby and its game
     };
 
     this.lobbies.set(lobbyCode, lobby);
-    this.socketToLobby.set(socket.id, lobbyCode);
-    socket.join(lobbyCode);
+    this.bindSocket(socket, lobby, player);
 
     // Track session
-    if (sessionId) {
-      this.sessions.set(sessionId, {
-        sessionId,
-        lobbyCode,
-        playerData: {
-          name: playerName,
-          color: '#f59e0b',
-          wasHost: true,
-          hostDisconnectTime: null
-        },
-        lastSeen: Date.now(),
-        previousSocketId: socket.id
-      });
-    }
+    this.startSession(socket, lobby, player);
 
-    console.log(`Lobby created: ${lobbyCode} (${gameType})`);
+    logger.info('Lobby created', { lobbyCode, gameType, visibility, playerName });
 
     callback({ success: true, lobbyCode, lobby: this.getLobbyInfo(lobby) });
     this.broadcastLobbyUpdate(lobbyCode);
   }
 
-  joinLobby(socket, data, callback) {
-    const { lobbyCode, playerName } = data;
-    const sessionId = socket.handshake.auth?.sessionId;
+  async joinLobby(socket, data, callback) {
+    const { lobbyCode } = data;
     const lobby = this.lobbies.get(lobbyCode);
 
     if (!lobby) {
       return callback({ success: false, error: 'Lobby not found' });
     }
 
-    // Allow joining even during games - spectator mode for Imposter, active play for Connections
-    const isSpectator = lobby.state === 'playing' && lobby.gameType === 'imposter';
+    const sessionId = socket.data.sessionId;
+    if (sessionId && lobby.bannedSessions.has(sessionId)) {
+      logger.info('Rejected join from banned session', { lobbyCode, session: sessionTag(sessionId) });
+      return callback({ success: false, code: 'BANNED', error: 'You have been banned from this lobby' });
+    }
+
+    if (lobby.visibility === 'password') {
+      if (!data.password) {
+        return callback({ success: false, code: 'PASSWORD_REQUIRED', error: 'This lobby requires a password' });
+      }
+      if (!(await verifyPassword(data.password, lobby.passwordHash))) {
+        logger.info('Rejected join with incorrect password', { lobbyCode, socketId: socket.id });
+        return callback({ success: false, code: 'INVALID_PASSWORD', error: 'Incorrect password' });
+      }
+
+      // Anything below may have changed while the password was checked
+      if (!socket.connected) return;
+      if (this.lobbies.get(lobbyCode) !== lobby) {
+        return callback({ success: false, error: 'Lobby not found' });
+      }
+    }
+
+    const nameCheck = filterText(socket, 'join_lobby', data.playerName.trim());
+    if (!nameCheck.allowed) {
+      return callback(contentRejected('Name'));
+    }
+
+    const playerName = this.resolvePlayerName(lobby, nameCheck.text);
+    if (!playerName) {
+      return callback({ success: false, code: 'NAME_TAKEN', error: 'Someone in this lobby already has that name' });
+    }
+
+    if (this.socketToLobby.has(socket.id)) {
+      return callback({ success: false, error: 'Leave your current lobby first' });
+    }
+    if (this.socketToWaitlist.has(socket.id)) {
+      return callback({ success: false, error: 'You are already on a lobby waitlist' });
+    }
+
+    // Full lobby: queue the player if the host allows it, otherwise turn them away
+    if (lobby.players.size >= this.getMaxPlayers(lobby)) {
+      if (!lobby.waitlistEnabled) {
+        return callback({ success: false, code: 'LOBBY_FULL', error: 'Lobby is full' });
+      }
+
+      lobby.waitlist.push({ socketId: socket.id, name: playerName, joinedAt: Date.now() });
+      this.socketToWaitlist.set(socket.id, lobbyCode);
+
+      logger.info('Player added to waitlist', { lobbyCode, playerName, position: lobby.waitlist.length });
+
+      callback({ success: true, waitlisted: true, lobbyCode, position: lobby.waitlist.length });
+      this.broadcastLobbyUpdate(lobbyCode);
+      return;
+    }
+
+    this.addPlayerToLobby(socket, lobby, playerName);
+
+    callback({ success: true, lobby: this.getLobbyInfo(lobby) });
+    this.broadcastLobbyUpdate(lobbyCode);
+  }
+
+  // A socket holds at most one seat or waitlist spot. Another one would leave
+  // the first behind with no socket to ever disconnect it.
+  isSeated(socket) {
+    return this.socketToLobby.has(socket.id) || this.socketToWaitlist.has(socket.id);
+  }
+
+  // Add a (non-host) player to an existing lobby, joining its room and any running game
+  addPlayerToLobby(socket, lobby, playerName) {
+    const lobbyCode = lobby.code;
+
+    // Allow joining even during games - each game decides whether late joiners play or spectate
+    const isSpectator = lobby.state === 'playing' && getGame(lobby.gameType)?.midGameJoin === 'spectator';
 
     // Assign a random default color
     const defaultColors = ['#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ef4444', '#ec4899', '#14b8a6', '#f97316'];
-    const randomColor = defaultColors[Math.floor(Math.random() * defaultColors.length)];
+    const randomColor = this.random.pick(defaultColors);
 
-    lobby.players.set(socket.id, {
-      id: socket.id,
+    const player = {
+      id: newPlayerId(),
+      socketId: null,
       name: playerName,
       isHost: false,
       isSpectator: isSpectator,
       color: randomColor
-    });
-    this.socketToLobby.set(socket.id, lobbyCode);
-    socket.join(lobbyCode);
+    };
+    lobby.players.set(player.id, player);
+    this.bindSocket(socket, lobby, player);
 
     // Track session
-    if (sessionId) {
-      this.sessions.set(sessionId, {
-        sessionId,
-        lobbyCode,
-        playerData: {
-          name: playerName,
-          color: randomColor,
-          wasHost: false,
-          hostDisconnectTime: null
-        },
-        lastSeen: Date.now(),
-        previousSocketId: socket.id
+    const session = this.startSession(socket, lobby, player);
+
+    logger.info('Player joined lobby', { lobbyCode, playerName, session: sessionTag(session.sessionId), isSpectator });
+
+    this.sendChatHistory(socket, lobby);
+
+    // If joining mid-game, notify game instance
+    if (lobby.state === 'playing' && lobby.game && typeof lobby.game.addPlayer === 'function') {
+      lobby.game.addPlayer(player.id);
+    }
+  }
+
+  leaveWaitlist(socket) {
+    const lobbyCode = this.socketToWaitlist.get(socket.id);
+    if (!lobbyCode) return;
+
+    this.socketToWaitlist.delete(socket.id);
+
+    const lobby = this.lobbies.get(lobbyCode);
+    if (!lobby) return;
+
+    lobby.waitlist = lobby.waitlist.filter(entry => entry.socketId !== socket.id);
+    logger.info('Player left waitlist', { lobbyCode, socketId: socket.id });
+
+    this.notifyWaitlistPositions(lobby);
+    this.broadcastLobbyUpdate(lobbyCode);
+  }
+
+  // Move waitlisted players into the lobby while there are free slots
+  promoteFromWaitlist(lobby) {
+    let promoted = false;
+
+    while (lobby.waitlist.length > 0 && lobby.players.size < this.getMaxPlayers(lobby)) {
+      const entry = lobby.waitlist.shift();
+      this.socketToWaitlist.delete(entry.socketId);
+
+      const socket = this.io.sockets.sockets.get(entry.socketId);
+      if (!socket) continue; // Gave up and disconnected
+
+      this.addPlayerToLobby(socket, lobby, entry.name);
+      this.ensureHost(lobby);
+      socket.emit('waitlist_promoted', { lobby: this.getLobbyInfo(lobby) });
+      promoted = true;
+
+      logger.info('Promoted player from waitlist', { lobbyCode: lobby.code, playerName: entry.name });
+    }
+
+    if (promoted) {
+      this.notifyWaitlistPositions(lobby);
+    }
+  }
+
+  notifyWaitlistPositions(lobby) {
+    lobby.waitlist.forEach((entry, index) => {
+      this.io.to(entry.socketId).emit('waitlist_update', {
+        lobbyCode: lobby.code,
+        position: index + 1
       });
+    });
+  }
+
+  // Tell everyone still queued that the lobby they were waiting on is gone
+  closeWaitlist(lobby) {
+    for (const entry of lobby.waitlist) {
+      this.socketToWaitlist.delete(entry.socketId);
+      this.io.to(entry.socketId).emit('waitlist_closed', { lobbyCode: lobby.code });
     }
+    lobby.waitlist = [];
+  }
 
-    console.log(`Player ${playerName} joined lobby ${lobbyCode}${isSpectator ? ' as spectator' : ''}`);
+  // Make sure the lobby has a connected-or-grace-period host
+  ensureHost(lobby) {
+    if (lobby.players.has(lobby.host)) return;
 
-    // If joining mid-game, notify game instance
-    if (lobby.state === 'playing' && lobby.game) {
-      if (lobby.gameType === 'connections') {
-        lobby.game.addPlayer(socket.id);
-      } else if (lobby.gameType === 'imposter') {
-        lobby.game.addPlayer(socket.id);
+    const newHost = Array.from(lobby.players.keys())[0];
+    if (!newHost) return;
+
+    lobby.host = newHost;
+    lobby.players.get(newHost).isHost = true;
+  }
+
+  // The most players a game type supports, which is also its default lobby capacity
+  getGameMaxPlayers(gameType) {
+    return getGame(gameType)?.maxPlayers || DEFAULT_MAX_PLAYERS;
+  }
+
+  getMaxPlayers(lobby) {
+    const gameMax = this.getGameMaxPlayers(lobby.gameType);
+    return lobby.maxPlayers ? Math.min(lobby.maxPlayers, gameMax) : gameMax;
+  }
+
+  updateLobbyCapacity(socket, data, callback) {
+    const lobby = this.getLobbyForSocket(socket.id);
+
+    if (!lobby || lobby.host !== socket.data.playerId) {
+      return callback({ success: false, error: 'Only the host can change lobby capacity' });
+    }
+
+    const { maxPlayers, waitlistEnabled } = data;
+
+    const gameMax = this.getGameMaxPlayers(lobby.gameType);
+    if (maxPlayers > gameMax) {
+      return callback({ success: false, error: `This game allows at most ${gameMax} players` });
+    }
+
+    if (maxPlayers !== undefined) {
+      lobby.maxPlayers = maxPlayers;
+    }
+    if (waitlistEnabled !== undefined) {
+      lobby.waitlistEnabled = waitlistEnabled;
+
+      // Turning the waitlist off sends everyone in it away
+      if (!waitlistEnabled) {
+        this.closeWaitlist(lobby);
       }
     }
 
-    callback({ success: true, lobby: this.getLobbyInfo(lobby) });
-    this.broadcastLobbyUpdate(lobbyCode);
+    logger.info('Lobby capacity updated', { lobbyCode: lobby.code, maxPlayers: this.getMaxPlayers(lobby), waitlistEnabled: lobby.waitlistEnabled });
+
+    this.promoteFromWaitlist(lobby);
+
+    callback({ success: true });
+    this.broadcastLobbyUpdate(lobby.code);
   }
 
   leaveLobby(socket) {
+    this.leaveWaitlist(socket);
+
     const lobbyCode = this.socketToLobby.get(socket.id);
     if (!lobbyCode) return;
 
     const lobby = this.lobbies.get(lobbyCode);
     if (!lobby) return;
 
+    const playerId = socket.data.playerId;
+
     // Notify game instance about player leaving (for cleanup)
     if (lobby.game && typeof lobby.game.removePlayer === 'function') {
-      lobby.game.removePlayer(socket.id);
+      lobby.game.removePlayer(playerId);
     }
 
     // Remove lobby cursor for this player
-    socket.broadcast.to(lobby.code).emit('lobby_cursor_remove', {
-      playerId: socket.id
-    });
+    socket.broadcast.to(lobby.code).emit('lobby_cursor_remove', { playerId });
 
-    lobby.players.delete(socket.id);
-    this.socketToLobby.delete(socket.id);
-    socket.leave(lobbyCode);
+    lobby.players.delete(playerId);
+    this.unbindSocket(socket, lobby);
+
+    // Free slot - let the next waitlisted player in
+    this.promoteFromWaitlist(lobby);
 
     // If lobby is empty, delete it
     if (lobby.players.size === 0) {
-      this.lobbies.delete(lobbyCode);
-      console.log(`Lobby ${lobbyCode} deleted (empty)`);
+      this.closeWaitlist(lobby);
+      this.deleteLobby(lobby);
+      logger.info('Lobby deleted (empty)', { lobbyCode });
       return;
     }
 
     // If host left, assign new host
-    if (lobby.host === socket.id) {
-      const newHost = Array.from(lobby.players.keys())[0];
-      lobby.host = newHost;
-      lobby.players.get(newHost).isHost = true;
-    }
+    this.ensureHost(lobby);
 
     this.broadcastLobbyUpdate(lobbyCode);
   }
 
   handleDisconnect(socket, sessionId) {
+    // Every socket drops when the server shuts down; the final snapshot already
+    // has everyone seated, and that's how they should come back
+    if (this.shuttingDown) return;
+
+    this.leaveWaitlist(socket);
+
     const lobbyCode = this.socketToLobby.get(socket.id);
     if (!lobbyCode) return;
 
     const lobby = this.lobbies.get(lobbyCode);
     if (!lobby) return;
 
-    const player = lobby.players.get(socket.id);
+    const player = lobby.players.get(socket.data.playerId);
     if (!player) return;
 
-    console.log(`Player ${player.name} disconnected from lobby ${lobbyCode}`);
+    logger.info('Player disconnected', { lobbyCode, playerName: player.name, session: sessionTag(sessionId) });
 
-    // If player has a session, mark as disconnected with grace period
+    // If player has a session, keep their seat (socketless) for a grace period
     if (sessionId && this.sessions.has(sessionId)) {
       const session = this.sessions.get(sessionId);
 
       // Track if this player was host
-      const wasHost = lobby.host === socket.id;
+      const wasHost = lobby.host === player.id;
 
       // Store disconnect info for grace period
-      this.disconnectedPlayers.set(socket.id, {
+      this.disconnectedPlayers.set(player.id, {
         lobbyCode,
         sessionId,
         disconnectTime: Date.now(),
-        wasHost,
-        playerData: { ...player }
+        wasHost
       });
 
-      // Update session
+      player.socketId = null;
+      this.socketToLobby.delete(socket.id);
       session.lastSeen = Date.now();
-      session.playerData.wasHost = wasHost;
-      if (wasHost) {
-        session.playerData.hostDisconnectTime = Date.now();
-      }
 
       // Notify game instance about temporary disconnect
       if (lobby.game && typeof lobby.game.playerDisconnected === 'function') {
-        lobby.game.playerDisconnected(socket.id);
+        lobby.game.playerDisconnected(player.id);
       }
 
       // Remove lobby cursor
       socket.broadcast.to(lobby.code).emit('lobby_cursor_remove', {
-        playerId: socket.id
+        playerId: player.id
       });
 
-      // Set timeout to actually remove player after grace period (2 minutes)
-      setTimeout(() => {
-        const disconnectData = this.disconnectedPlayers.get(socket.id);
-        if (disconnectData) {
-          // Player didn't reconnect, remove them permanently
-          this.removeDisconnectedPlayer(socket.id);
-        }
-      }, 2 * 60 * 1000); // 2 minute grace period
+      // Set timeout to actually remove player after grace period
+      this.scheduleDisconnectRemoval(lobby, player.id, DISCONNECT_GRACE_PERIOD);
 
       // If was host, temporarily assign new host
       if (wasHost && lobby.players.size > 1) {
-        const newHost = Array.from(lobby.players.keys()).find(id => id !== socket.id);
+        const newHost = Array.from(lobby.players.keys()).find(id => id !== player.id);
         if (newHost) {
+          player.isHost = false;
           lobby.host = newHost;
           lobby.players.get(newHost).isHost = true;
-          console.log(`Temporarily assigned ${lobby.players.get(newHost).name} as host`);
+          logger.info('Temporarily assigned new host', { lobbyCode, playerName: lobby.players.get(newHost).name });
         }
       }
 
@@ -223,17 +461,17 @@ export class LobbyManager {
     }
   }
 
-  removeDisconnectedPlayer(socketId) {
-    const disconnectData = this.disconnectedPlayers.get(socketId);
+  removeDisconnectedPlayer(playerId) {
+    const disconnectData = this.disconnectedPlayers.get(playerId);
     if (!disconnectData) return;
 
     const { lobbyCode, sessionId } = disconnectData;
     const lobby = this.lobbies.get(lobbyCode);
 
-    console.log(`Removing disconnected player ${socketId} from lobby ${lobbyCode} (grace period expired)`);
+    logger.info('Removing disconnected player (grace period expired)', { lobbyCode, playerId, session: sessionTag(sessionId) });
 
     // Remove from disconnected tracking
-    this.disconnectedPlayers.delete(socketId);
+    this.disconnectedPlayers.delete(playerId);
 
     // Remove session
     if (sessionId) {
@@ -242,31 +480,58 @@ export class LobbyManager {
 
     if (!lobby) return;
 
-    // Notify game instance
-    if (lobby.game && typeof lobby.game.removePlayer === 'function') {
-      lobby.game.removePlayer(socketId);
+    // A running game has to drop them from turns, votes and roles, the same as a
+    // voluntary leave; otherwise it would keep waiting on a player who is gone
+    if (lobby.game && lobby.state === 'playing' && typeof lobby.game.handlePlayerLeave === 'function') {
+      lobby.game.handlePlayerLeave(playerId);
+    } else if (lobby.game && typeof lobby.game.removePlayer === 'function') {
+      lobby.game.removePlayer(playerId);
     }
 
     // Remove player
-    lobby.players.delete(socketId);
-    this.socketToLobby.delete(socketId);
+    lobby.players.delete(playerId);
+
+    // Free slot - let the next waitlisted player in
+    this.promoteFromWaitlist(lobby);
 
     // If lobby is empty, delete it
     if (lobby.players.size === 0) {
-      this.lobbies.delete(lobbyCode);
-      console.log(`Lobby ${lobbyCode} deleted (empty after grace period)`);
+      this.closeWaitlist(lobby);
+      this.deleteLobby(lobby);
+      logger.info('Lobby deleted (empty after grace period)', { lobbyCode });
       return;
     }
 
+    // If the host never came back, hand hosting to someone else
+    this.ensureHost(lobby);
+
     this.broadcastLobbyUpdate(lobbyCode);
   }
 
-  selectGamemode(socket, data) {
+  scheduleDisconnectRemoval(lobby, playerId, delay) {
+    // Replaces the timer from an earlier disconnect, which would cut this grace period short
+    lobby.scheduler.cancelByName(`removePlayer:${playerId}`);
+    lobby.scheduler.schedule(`removePlayer:${playerId}`, delay, () => {
+      if (this.disconnectedPlayers.has(playerId)) {
+        // Player didn't reconnect, remove them permanently
+        metrics.reconnections.inc({ result: 'expired' });
+        this.removeDisconnectedPlayer(playerId);
+      }
+    });
+  }
+
+  selectGamemode(socket, data, callback) {
     const lobbyCode = this.socketToLobby.get(socket.id);
     const lobby = this.lobbies.get(lobbyCode);
 
-    if (!lobby || lobby.host !== socket.id) {
-      return; // Only host can select gamemode
+    if (!lobby || lobby.host !== socket.data.playerId) {
+      return callback({ success: false, error: 'Only the host can choose the game' });
+    }
+
+    // The running game keeps the game type it was started with until it returns to the lobby
+    if (lobby.state === 'playing') {
+      logger.warn('Gamemode change refused: game in progress', { lobbyCode, gameType: lobby.gameType });
+      return callback({ success: false, error: 'Wait for the current game to end' });
     }
 
     const { gameType, settings } = data;
@@ -275,88 +540,301 @@ export class LobbyManager {
     if (gameType === null) {
       lobby.gameType = null;
       lobby.state = 'selecting';
-      console.log(`Lobby ${lobbyCode} returned to gamemode selection`);
+      logger.info('Lobby returned to gamemode selection', { lobbyCode });
+      callback({ success: true });
       this.broadcastLobbyUpdate(lobbyCode);
       return;
     }
 
-    if (!['imposter', 'connections'].includes(gameType)) {
+    if (!hasGame(gameType)) {
+      return callback({ success: false, error: 'Unknown game' });
+    }
+
+    if (!this.validateSettings(socket, 'select_gamemode', gameType, settings, callback)) {
       return;
     }
 
+    // Capacity is clamped to the game's limit below, but nobody already seated gets dropped
+    const gameMax = this.getGameMaxPlayers(gameType);
+    if (lobby.players.size > gameMax) {
+      logger.info('Gamemode change refused: too many players', { lobbyCode, gameType, maxPlayers: gameMax, playerCount: lobby.players.size });
+      return callback({ success: false, error: `${getGame(gameType).name} allows at most ${gameMax} players` });
+    }
+
     lobby.gameType = gameType;
     if (settings) {
       lobby.settings = { ...lobby.settings, ...settings };
     }
     lobby.state = 'waiting'; // Move to waiting state
 
-    console.log(`Lobby ${lobbyCode} gamemode selected: ${gameType}`);
+    // Keep the host's capacity within what the new game supports
+    if (lobby.maxPlayers > gameMax) {
+      lobby.maxPlayers = gameMax;
+    }
+
+    // The new game may allow more players than the last one
+    this.promoteFromWaitlist(lobby);
+
+    logger.info('Gamemode selected', { lobbyCode, gameType });
+    callback({ success: true });
     this.broadcastLobbyUpdate(lobbyCode);
   }
 
-  startGame(socket, data) {
+  async updateLobbyVisibility(socket, data, callback) {
+    const lobby = this.getLobbyForSocket(socket.id);
+
+    if (!lobby || lobby.host !== socket.data.playerId) {
+      return callback({ success: false, error: 'Only the host can change lobby visibility' });
+    }
+
+    const { visibility, password } = data;
+
+    if (visibility === 'password') {
+      // Keep the existing password if the host just re-selects password mode
+      if (!password && !lobby.passwordHash) {
+        return callback({ success: false, error: 'Please enter a password' });
+      }
+      if (password) {
+        const passwordHash = await hashPassword(password);
+
+        // The host may have left or handed over hosting while it hashed
+        if (this.lobbies.get(lobby.code) !== lobby || lobby.host !== socket.data.playerId) {
+          return callback({ success: false, error: 'Only the host can change lobby visibility' });
+        }
+        lobby.passwordHash = passwordHash;
+      }
+    } else {
+      lobby.passwordHash = null;
+    }
+
+    lobby.visibility = visibility;
+
+    logger.info('Lobby visibility updated', { lobbyCode: lobby.code, visibility });
+
+    callback({ success: true });
+    this.broadcastLobbyUpdate(lobby.code);
+  }
+
+  // Host moderation
+  kickPlayer(socket, data, callback) {
+    this.removePlayerByHost(socket, data.playerId, false, callback);
+  }
+
+  banPlayer(socket, data, callback) {
+    this.removePlayerByHost(socket, data.playerId, true, callback);
+  }
+
+  removePlayerByHost(socket, targetId, ban, callback) {
+    const lobby = this.getLobbyForSocket(socket.id);
+
+    if (!lobby || lobby.host !== socket.data.playerId) {
+      return callback({ success: false, error: 'Only the host can remove players' });
+    }
+
+    const target = lobby.players.get(targetId);
+    if (!target) {
+      return callback({ success: false, error: 'Player not found' });
+    }
+    if (targetId === socket.data.playerId) {
+      return callback({ success: false, error: 'You cannot remove yourself' });
+    }
+
+    logger.info(ban ? 'Host banned player' : 'Host kicked player', { lobbyCode: lobby.code, host: lobby.players.get(socket.data.playerId).name, playerName: target.name });
+
+    this.removePlayer(lobby, targetId, {
+      ban,
+      message: ban ? 'You were banned from the lobby by the host' : 'You were kicked from the lobby by the host'
+    });
+
+    callback({ success: true });
+  }
+
+  // Remove a player on someone else's behalf (host or admin), optionally banning their session
+  removePlayer(lobby, targetId, { ban = false, message }) {
+    const target = lobby.players.get(targetId);
+
+    const sessionId = this.findSessionIdByPlayer(targetId);
+    if (ban && sessionId) {
+      lobby.bannedSessions.add(sessionId);
+    }
+
+    // Kicked players can't reconnect into their old seat
+    if (sessionId) {
+      this.sessions.delete(sessionId);
+    }
+
+    this.io.to(lobby.code).emit('player_kicked', {
+      playerId: targetId,
+      playerName: target.name,
+      banned: ban
+    });
+
+    this.io.to(targetId).emit('kicked', {
+      lobbyCode: lobby.code,
+      banned: ban,
+      message
+    });
+
+    const targetSocket = target.socketId && this.io.sockets.sockets.get(target.socketId);
+    if (targetSocket) {
+      // Let the running game clean up the same way as a voluntary leave
+      if (lobby.game && lobby.state === 'playing' && typeof lobby.game.handlePlayerLeave === 'function') {
+        lobby.game.handlePlayerLeave(targetId);
+      }
+      this.leaveLobby(targetSocket);
+    } else {
+      // Player is in their disconnect grace period - remove them now (this also tells the game)
+      this.removeDisconnectedPlayer(targetId);
+    }
+  }
+
+  transferHost(socket, data, callback) {
+    const lobby = this.getLobbyForSocket(socket.id);
+
+    if (!lobby || lobby.host !== socket.data.playerId) {
+      return callback({ success: false, error: 'Only the host can transfer hosting' });
+    }
+
+    const newHost = lobby.players.get(data.playerId);
+    if (!newHost || data.playerId === socket.data.playerId) {
+      return callback({ success: false, error: 'Player not found' });
+    }
+
+    for (const player of lobby.players.values()) {
+      player.isHost = player.id === newHost.id;
+    }
+    lobby.host = newHost.id;
+
+    logger.info('Host transferred', { lobbyCode: lobby.code, playerName: newHost.name });
+
+    callback({ success: true });
+    this.broadcastLobbyUpdate(lobby.code);
+  }
+
+  startGame(socket, data, callback) {
     const lobbyCode = this.socketToLobby.get(socket.id);
     const lobby = this.lobbies.get(lobbyCode);
 
-    if (!lobby || lobby.host !== socket.id) {
-      console.log(`[startGame] Failed - lobby: ${!!lobby}, isHost: ${lobby?.host === socket.id}`);
-      return;
+    if (!lobby || lobby.host !== socket.data.playerId) {
+      logger.warn('Start game refused: not in a lobby or not the host', { lobbyCode: lobby?.code, socketId: socket.id });
+      return callback({ success: false, error: 'Only the host can start the game' });
+    }
+
+    // One game at a time: refuse while one is running, wrapping up or about to be created
+    if (lobby.state === 'playing' || lobby.game || lobby.scheduler.has('startGame')) {
+      logger.warn('Start game refused: a game is already running', { lobbyCode, gameType: lobby.gameType });
+      return callback({ success: false, error: 'A game is already running' });
+    }
+
+    const gameModule = getGame(lobby.gameType);
+    if (!gameModule) {
+      logger.warn('Start game refused: no game selected', { lobbyCode });
+      return callback({ success: false, error: 'Choose a game first' });
+    }
+
+    if (lobby.players.size < gameModule.minPlayers) {
+      logger.warn('Start game refused: not enough players', { lobbyCode, gameType: lobby.gameType, minPlayers: gameModule.minPlayers, playerCount: lobby.players.size });
+      return callback({ success: false, error: `${gameModule.name} needs at least ${gameModule.minPlayers} players` });
+    }
+
+    const gameMax = this.getGameMaxPlayers(lobby.gameType);
+    if (lobby.players.size > gameMax) {
+      logger.warn('Start game refused: too many players', { lobbyCode, gameType: lobby.gameType, maxPlayers: gameMax, playerCount: lobby.players.size });
+      return callback({ success: false, error: `${gameModule.name} allows at most ${gameMax} players` });
     }
 
-    console.log(`[startGame] Starting game in lobby ${lobbyCode} with ${lobby.players.size} players`);
+    logger.info('Starting game', { lobbyCode, gameType: lobby.gameType, playerCount: lobby.players.size });
 
     // Update lobby settings with data from host
-    if (data.settings) {
-      lobby.settings = { ...lobby.settings, ...data.settings };
+    const settings = data?.settings;
+    if (!this.validateSettings(socket, 'start_game', lobby.gameType, settings, callback)) {
+      return;
+    }
+    if (settings) {
+      lobby.settings = { ...lobby.settings, ...settings };
     }
 
     lobby.state = 'playing';
+    callback({ success: true });
 
     // Broadcast lobby update first so clients transition screens
     this.broadcastLobbyUpdate(lobbyCode);
 
     // Give clients time to mount the game component, then start game
-    setTimeout(() => {
-      if (lobby.gameType === 'imposter') {
-        console.log(`[startGame] Creating Imposter game for lobby ${lobbyCode}`);
-        lobby.game = new ImposterGame(this.io, lobby, this);
-        lobby.game.start();
-      } else if (lobby.gameType === 'connections') {
-        console.log(`[startGame] Creating Connections game for lobby ${lobbyCode}`);
-        lobby.game = new ConnectionsGame(this.io, lobby, this);
-        lobby.game.start();
-      }
-    }, 100);
+    lobby.scheduler.schedule('startGame', 100, () => {
+      logger.debug('Creating game instance', { lobbyCode, gameType: lobby.gameType });
+      // Never leave an earlier game's timers firing into the lobby
+      lobby.game?.stop();
+      lobby.game = new gameModule.Game(this.io, lobby, this, { seed: GAME_SEED });
+      lobby.game.start();
+      metrics.gamesStarted.inc({ game_type: lobby.gameType });
+    });
   }
 
-  // Imposter game handlers
-  handleImposterWord(socket, data) {
+  // Route a game socket event to the running game's handler, if that game handles it
+  handleGameEvent(socket, event, data) {
     const lobby = this.getLobbyForSocket(socket.id);
-    if (lobby?.game instanceof ImposterGame) {
-      lobby.game.submitWord(socket.id, data.word);
+    if (!lobby?.game) return;
+
+    // Dispatch on the module of the game that is actually running, and only to
+    // a game that module built - its handlers call that class's methods
+    const gameModule = getGame(lobby.game.gameType);
+    const handler = gameModule?.events[event];
+    if (!handler || !(lobby.game instanceof gameModule.Game)) return;
+
+    if (lobby.game.paused && !handler.allowWhilePaused) {
+      logger.debug('Dropped game event while paused', { lobbyCode: lobby.code, event, socketId: socket.id });
+      return;
     }
+
+    handler.handle(lobby.game, socket, data);
   }
 
-  handleImposterVote(socket, data) {
+  // Send the running game's state to a client that has just mounted its game
+  // screen, so it doesn't depend on having caught the events that came before
+  sendGameState(socket) {
     const lobby = this.getLobbyForSocket(socket.id);
-    if (lobby?.game instanceof ImposterGame) {
-      lobby.game.castVote(socket.id, data.targetId);
-    }
+    if (!lobby?.game || lobby.state !== 'playing') return;
+
+    socket.emit('game_state_sync', lobby.game.getSnapshot(socket.data.playerId));
+  }
+
+  pauseGame(socket, callback) {
+    this.setGamePaused(socket, true, callback);
+  }
+
+  resumeGame(socket, callback) {
+    this.setGamePaused(socket, false, callback);
   }
 
-  handleImposterCursor(socket, data) {
+  setGamePaused(socket, paused, callback) {
     const lobby = this.getLobbyForSocket(socket.id);
-    if (lobby?.game instanceof ImposterGame) {
-      lobby.game.updateCursor(socket, data);
+
+    if (!lobby || lobby.host !== socket.data.playerId) {
+      return callback({ success: false, error: 'Only the host can pause the game' });
+    }
+    if (!lobby.game || lobby.state !== 'playing') {
+      return callback({ success: false, error: 'No game is running' });
+    }
+
+    const changed = paused ? lobby.game.pause() : lobby.game.unpause();
+    if (!changed) {
+      return callback({ success: false, error: paused ? 'The game is already paused' : 'The game is not paused' });
     }
+
+    callback({ success: true });
+    this.broadcastLobbyUpdate(lobby.code);
   }
 
-  // Connections game handlers
-  handleConnectionsCursor(socket, data) {
-    const lobby = this.getLobbyForSocket(socket.id);
-    if (lobby?.game instanceof ConnectionsGame) {
-      lobby.game.updateCursor(socket, data);
+  // Check settings against the game's settings schema; rejects (through the ack
+  // callback when given) and returns false if invalid
+  validateSettings(socket, event, gameType, settings, callback) {
+    const errors = validate(gameSettingsSchema(getGame(gameType).settings), settings, 'payload.settings');
+    if (errors.length > 0) {
+      rejectPayload(socket, event, errors, callback);
+      return false;
     }
+    return true;
   }
 
   // Lobby cursor handler
@@ -364,7 +842,7 @@ export class LobbyManager {
     const lobby = this.getLobbyForSocket(socket.id);
     if (!lobby) return;
 
-    const player = lobby.players.get(socket.id);
+    const player = lobby.players.get(socket.data.playerId);
     if (!player) return;
 
     // Validate and clamp coordinates to 0-100 range
@@ -373,7 +851,7 @@ export class LobbyManager {
 
     // Broadcast to others in lobby (exclude sender)
     socket.broadcast.to(lobby.code).emit('lobby_cursor_update', {
-      playerId: socket.id,
+      playerId: player.id,
       playerName: player.name,
       playerColor: player.color || '#888',
       x,
@@ -381,54 +859,156 @@ export class LobbyManager {
     });
   }
 
-  handleConnectionsSelection(socket, data) {
-    const lobby = this.getLobbyForSocket(socket.id);
-    if (lobby?.game instanceof ConnectionsGame) {
-      lobby.game.selectWord(socket.id, data.word);
+  // Names are unique per lobby, ignoring case. Returns the name to use - the
+  // requested one, or a suffixed variant under the 'suffix' policy - or null
+  // if it's taken and the policy is 'reject' (or `allowSuffix` is false).
+  resolvePlayerName(lobby, name, excludeId = null, allowSuffix = DUPLICATE_NAME_POLICY === 'suffix') {
+    const taken = new Set([
+      ...Array.from(lobby.players.values()).filter(p => p.id !== excludeId).map(p => p.name.toLowerCase()),
+      ...lobby.waitlist.filter(entry => entry.socketId !== excludeId).map(entry => entry.name.toLowerCase())
+    ]);
+
+    if (!taken.has(name.toLowerCase())) return name;
+    if (!allowSuffix) return null;
+
+    for (let n = 2; ; n++) {
+      const suffix = ` ${n}`;
+      const candidate = name.slice(0, MAX_NAME_LENGTH - suffix.length).trimEnd() + suffix;
+      if (!taken.has(candidate.toLowerCase())) return candidate;
     }
   }
 
-  handleConnectionsSubmit(socket, data) {
+  renamePlayer(socket, data, callback) {
     const lobby = this.getLobbyForSocket(socket.id);
-    if (lobby?.game instanceof ConnectionsGame) {
-      lobby.game.submitGroup(socket.id, data.words);
+    if (!lobby) {
+      return callback({ success: false, error: 'Not in a lobby' });
     }
-  }
 
-  handleConnectionsHint(socket) {
-    const lobby = this.getLobbyForSocket(socket.id);
-    if (lobby?.game instanceof ConnectionsGame) {
-      lobby.game.useHint(socket.id);
+    const player = lobby.players.get(socket.data.playerId);
+    if (!player) {
+      return callback({ success: false, error: 'Not in a lobby' });
     }
-  }
 
-  handleConnectionsShuffle(socket) {
-    const lobby = this.getLobbyForSocket(socket.id);
-    if (lobby?.game instanceof ConnectionsGame) {
-      lobby.game.shuffleWords(socket.id);
+    const nameCheck = filterText(socket, 'rename_player', data.playerName.trim());
+    if (!nameCheck.allowed) {
+      return callback(contentRejected('Name'));
     }
+
+    const newName = this.resolvePlayerName(lobby, nameCheck.text, player.id);
+    if (!newName) {
+      return callback({ success: false, code: 'NAME_TAKEN', error: 'Someone in this lobby already has that name' });
+    }
+
+    const oldName = player.name;
+    player.name = newName;
+
+    logger.info('Player renamed', { lobbyCode: lobby.code, oldName, newName });
+
+    callback({ success: true, playerName: newName });
+    this.io.to(lobby.code).emit('player_renamed', { playerId: player.id, oldName, newName });
+    this.broadcastLobbyUpdate(lobby.code);
   }
 
   updatePlayerColor(socket, data) {
     const lobby = this.getLobbyForSocket(socket.id);
     if (!lobby) return;
 
-    const player = lobby.players.get(socket.id);
+    const player = lobby.players.get(socket.data.playerId);
     if (!player) return;
 
     // Update player color
     player.color = data.color;
 
-    // Update session if exists
-    const sessionId = socket.handshake.auth?.sessionId;
-    if (sessionId && this.sessions.has(sessionId)) {
-      this.sessions.get(sessionId).playerData.color = data.color;
-    }
-
     // Broadcast updated lobby info to all players
     this.broadcastLobbyUpdate(lobby.code);
 
-    console.log(`Player ${player.name} changed color to ${data.color} in lobby ${lobby.code}`);
+    logger.debug('Player changed color', { lobbyCode: lobby.code, playerName: player.name, color: data.color });
+  }
+
+  // Stop a running game and send everyone back to gamemode selection
+  forceEndGame(lobby, message) {
+    if (!lobby.game || lobby.state !== 'playing') return false;
+
+    // Lobby update goes out first so clients land on gamemode selection, not the old game
+    lobby.game.stop();
+    lobby.game.returnToLobby();
+    this.io.to(lobby.code).emit('game_aborted', { message });
+
+    logger.info('Game force-ended', { lobbyCode: lobby.code });
+    return true;
+  }
+
+  // Shut a lobby down, sending every player (and anyone waitlisted) back home
+  closeLobby(lobby, message) {
+    if (lobby.game) {
+      lobby.game.stop();
+    }
+
+    this.closeWaitlist(lobby);
+    this.io.to(lobby.code).emit('lobby_closed', { lobbyCode: lobby.code, message });
+
+    for (const player of lobby.players.values()) {
+      this.disconnectedPlayers.delete(player.id);
+
+      const socket = player.socketId && this.io.sockets.sockets.get(player.socketId);
+      if (socket) {
+        this.unbindSocket(socket, lobby);
+      }
+    }
+
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (session.lobbyCode === lobby.code) {
+        this.sessions.delete(sessionId);
+      }
+    }
+
+    this.deleteLobby(lobby);
+    logger.info('Lobby closed', { lobbyCode: lobby.code });
+  }
+
+  // Forget a lobby, cancelling anything it or its game still had scheduled
+  deleteLobby(lobby) {
+    lobby.scheduler.close();
+    this.lobbies.delete(lobby.code);
+  }
+
+  // Chat
+  sendChatMessage(socket, data, callback) {
+    const lobby = this.getLobbyForSocket(socket.id);
+    if (!lobby) {
+      return callback({ success: false, error: 'Not in a lobby' });
+    }
+
+    const player = lobby.players.get(socket.data.playerId);
+    if (!player) {
+      return callback({ success: false, error: 'Not in a lobby' });
+    }
+
+    const textCheck = filterText(socket, 'send_chat_message', data.text.trim());
+    if (!textCheck.allowed) {
+      return callback(contentRejected('Message'));
+    }
+
+    const message = {
+      id: nanoid(),
+      playerId: player.id,
+      playerName: player.name,
+      playerColor: player.color || '#888',
+      text: textCheck.text,
+      timestamp: Date.now()
+    };
+
+    lobby.chat.push(message);
+    if (lobby.chat.length > CHAT_HISTORY_LIMIT) {
+      lobby.chat.splice(0, lobby.chat.length - CHAT_HISTORY_LIMIT);
+    }
+
+    this.io.to(lobby.code).emit('chat_message', message);
+    callback({ success: true });
+  }
+
+  sendChatHistory(socket, lobby) {
+    socket.emit('chat_history', { messages: lobby.chat });
   }
 
   leaveGame(socket) {
@@ -438,28 +1018,28 @@ export class LobbyManager {
     const lobby = this.lobbies.get(lobbyCode);
     if (!lobby) return;
 
-    const player = lobby.players.get(socket.id);
+    const player = lobby.players.get(socket.data.playerId);
     if (!player) return;
 
-    console.log(`Player ${player.name} is leaving game in lobby ${lobbyCode}`);
+    logger.info('Player leaving game', { lobbyCode, playerName: player.name });
 
     // Clear session immediately (no reconnection allowed after explicit leave)
-    const sessionId = socket.handshake.auth?.sessionId;
+    const sessionId = socket.data.sessionId;
     if (sessionId) {
       this.sessions.delete(sessionId);
-      this.disconnectedPlayers.delete(socket.id);
+      this.disconnectedPlayers.delete(player.id);
     }
 
     // Notify game instance to handle player leaving
     if (lobby.game && lobby.state === 'playing') {
       if (typeof lobby.game.handlePlayerLeave === 'function') {
-        lobby.game.handlePlayerLeave(socket.id);
+        lobby.game.handlePlayerLeave(player.id);
       }
     }
 
     // Broadcast to all players that this player left
     this.io.to(lobbyCode).emit('player_left_game', {
-      playerId: socket.id,
+      playerId: player.id,
       playerName: player.name
     });
 
@@ -467,19 +1047,86 @@ export class LobbyManager {
     this.leaveLobby(socket);
   }
 
-  attemptReconnection(socket, sessionId) {
-    if (!sessionId || !this.sessions.has(sessionId)) {
-      console.log(`No valid session found for ${socket.id}`);
-      return;
+  // Attach a connection to a player. The socket also joins a room named after
+  // the player id, so io.to(playerId) reaches whichever socket is current.
+  bindSocket(socket, lobby, player) {
+    player.socketId = socket.id;
+    socket.data.playerId = player.id;
+    this.socketToLobby.set(socket.id, lobby.code);
+    socket.join(lobby.code);
+    socket.join(player.id);
+  }
+
+  unbindSocket(socket, lobby) {
+    socket.leave(lobby.code);
+    socket.leave(socket.data.playerId);
+    socket.data.playerId = null;
+    this.socketToLobby.delete(socket.id);
+  }
+
+  // Sessions are keyed by a server-generated id. A socket that connected
+  // without a valid token gets a fresh one the first time it creates or joins
+  // a lobby; the client is sent a signed token to reconnect with.
+  startSession(socket, lobby, player) {
+    if (!socket.data.sessionId) {
+      socket.data.sessionId = newSessionId();
     }
 
+    const session = {
+      sessionId: socket.data.sessionId,
+      lobbyCode: lobby.code,
+      playerId: player.id,
+      lastSeen: Date.now()
+    };
+    this.sessions.set(session.sessionId, session);
+    this.issueSessionToken(socket, session);
+
+    return session;
+  }
+
+  // Replace the session's token; whatever token the client held before stops working.
+  // Also tells the client which player it is.
+  issueSessionToken(socket, session) {
+    session.tokenNonce = newTokenNonce();
+    socket.emit('session_token', {
+      token: createSessionToken(session.sessionId, session.tokenNonce),
+      playerId: session.playerId
+    });
+  }
+
+  // Called on connect with a verified token ({ sessionId, nonce }, see sessionToken.js).
+  // The player kept their seat while disconnected, so this only re-binds a socket to it.
+  attemptReconnection(socket, { sessionId, nonce }) {
     const session = this.sessions.get(sessionId);
+
+    if (!session) {
+      // Keep the id anyway so lobby bans still recognise this player
+      socket.data.sessionId = sessionId;
+      logger.debug('No valid session to restore', { socketId: socket.id, session: sessionTag(sessionId) });
+      return;
+    }
+
+    // A correctly signed token whose nonce has already been rotated away was
+    // either used by someone else or copied from an old tab - don't trust it
+    if (session.tokenNonce !== nonce) {
+      logger.warn('Rejected reused session token', { socketId: socket.id, session: sessionTag(sessionId) });
+      metrics.reconnections.inc({ result: 'rejected' });
+      socket.emit('session_invalid', {
+        reason: 'reused',
+        message: 'Your session was resumed somewhere else. Please rejoin the lobby.'
+      });
+      return;
+    }
+
+    socket.data.sessionId = sessionId;
     const lobby = this.lobbies.get(session.lobbyCode);
+    const player = lobby?.players.get(session.playerId);
 
-    // Check if lobby still exists
-    if (!lobby) {
-      console.log(`Lobby ${session.lobbyCode} no longer exists, clearing session`);
+    // Check if lobby (and our seat in it) still exists
+    if (!player) {
+      logger.info('Session lobby no longer exists, clearing session', { lobbyCode: session.lobbyCode, session: sessionTag(sessionId) });
       this.sessions.delete(sessionId);
+      metrics.reconnections.inc({ result: 'expired' });
       socket.emit('session_expired');
       return;
     }
@@ -487,69 +1134,53 @@ export class LobbyManager {
     // Check session expiration (30 minutes)
     const sessionAge = Date.now() - session.lastSeen;
     if (sessionAge > 30 * 60 * 1000) {
-      console.log(`Session expired for ${socket.id} (age: ${Math.round(sessionAge / 1000)}s)`);
+      logger.info('Session expired', { lobbyCode: session.lobbyCode, session: sessionTag(sessionId), ageSeconds: Math.round(sessionAge / 1000) });
       this.sessions.delete(sessionId);
+      metrics.reconnections.inc({ result: 'expired' });
       socket.emit('session_expired');
       return;
     }
 
-    const oldSocketId = session.previousSocketId;
-
-    console.log(`♻️ Reconnecting player with session ${sessionId.substring(0, 8)}`);
-    console.log(`   Old socket: ${oldSocketId}, New socket: ${socket.id}`);
+    const log = logger.child({ lobbyCode: lobby.code, session: sessionTag(sessionId) });
+    log.info('Reconnecting player', { playerId: player.id, oldSocketId: player.socketId, socketId: socket.id });
+
+    // If the previous connection is somehow still open, it loses the seat
+    const oldSocket = player.socketId && this.io.sockets.sockets.get(player.socketId);
+    if (oldSocket && oldSocket.id !== socket.id) {
+      log.warn('Session resumed from a new connection, detaching the old one', { oldSocketId: oldSocket.id });
+      this.unbindSocket(oldSocket, lobby);
+      oldSocket.data.sessionId = null;
+      oldSocket.emit('session_invalid', {
+        reason: 'replaced',
+        message: 'Your session was resumed from another window.'
+      });
+    }
 
-    // Update player in lobby with new socket ID
-    const playerData = session.playerData;
-    const wasHost = playerData.wasHost;
+    // Hand hosting back if we had it when we dropped and were gone less than 2 minutes
+    const disconnectData = this.disconnectedPlayers.get(player.id);
+    this.disconnectedPlayers.delete(player.id);
+    lobby.scheduler.cancelByName(`removePlayer:${player.id}`);
 
-    // Check if we should restore host status
     let shouldRestoreHost = false;
-    if (wasHost && playerData.hostDisconnectTime) {
-      const disconnectDuration = Date.now() - playerData.hostDisconnectTime;
-      // Restore host if disconnected less than 2 minutes ago
+    if (disconnectData?.wasHost && lobby.host !== player.id) {
+      const disconnectDuration = Date.now() - disconnectData.disconnectTime;
       if (disconnectDuration < 2 * 60 * 1000) {
         shouldRestoreHost = true;
-        console.log(`   Restoring host status (disconnected for ${Math.round(disconnectDuration / 1000)}s)`);
-      }
-    }
+        log.info('Restoring host status', { disconnectedSeconds: Math.round(disconnectDuration / 1000) });
 
-    // Remove old socket references
-    if (lobby.players.has(oldSocketId)) {
-      lobby.players.delete(oldSocketId);
+        for (const other of lobby.players.values()) {
+          other.isHost = other.id === player.id;
+        }
+        lobby.host = player.id;
+      }
     }
-    this.socketToLobby.delete(oldSocketId);
-    this.disconnectedPlayers.delete(oldSocketId);
-
-    // Add player with new socket ID
-    lobby.players.set(socket.id, {
-      id: socket.id,
-      name: playerData.name,
-      color: playerData.color,
-      isHost: shouldRestoreHost,
-      isSpectator: false
-    });
 
-    this.socketToLobby.set(socket.id, session.lobbyCode);
-    socket.join(session.lobbyCode);
+    this.bindSocket(socket, lobby, player);
+    this.touchLobby(lobby);
 
-    // Restore host if applicable
-    if (shouldRestoreHost) {
-      lobby.host = socket.id;
-    }
-
-    // Update session with new socket
-    session.previousSocketId = socket.id;
+    // Rotate the token so the one just used can't be replayed
     session.lastSeen = Date.now();
-    if (shouldRestoreHost) {
-      session.playerData.hostDisconnectTime = null;
-    }
-
-    // Notify game instance to restore player state
-    if (lobby.game) {
-      if (typeof lobby.game.restorePlayer === 'function') {
-        lobby.game.restorePlayer(oldSocketId, socket.id);
-      }
-    }
+    this.issueSessionToken(socket, session);
 
     // Send reconnection confirmation to client
     socket.emit('session_restored', {
@@ -557,13 +1188,17 @@ export class LobbyManager {
       gameType: lobby.gameType,
       gameState: lobby.state,
       wasHost: shouldRestoreHost,
-      message: `Welcome back, ${playerData.name}!`
+      message: `Welcome back, ${player.name}!`
     });
 
+    this.sendChatHistory(socket, lobby);
+    this.sendGameState(socket);
+
     // Broadcast updated lobby to all players
-    this.broadcastLobbyUpdate(session.lobbyCode);
+    this.broadcastLobbyUpdate(lobby.code);
 
-    console.log(`✅ Successfully reconnected ${playerData.name} to lobby ${session.lobbyCode}`);
+    metrics.reconnections.inc({ result: 'succeeded' });
+    log.info('Player reconnected', { playerName: player.name });
   }
 
   cleanupExpiredSessions() {
@@ -578,16 +1213,245 @@ export class LobbyManager {
     }
 
     for (const sessionId of expiredSessions) {
-      console.log(`🧹 Cleaning up expired session: ${sessionId.substring(0, 8)}`);
+      logger.debug('Cleaning up expired session', { session: sessionTag(sessionId) });
       this.sessions.delete(sessionId);
     }
 
     if (expiredSessions.length > 0) {
-      console.log(`Cleaned up ${expiredSessions.length} expired sessions`);
+      logger.info('Cleaned up expired sessions', { count: expiredSessions.length });
+    }
+  }
+
+  // Called for every event a socket sends; anything other than passive events
+  // keeps the socket's lobby from being reaped
+  recordActivity(socket, event) {
+    if (PASSIVE_EVENTS.has(event)) return;
+
+    const lobby = this.getLobbyForSocket(socket.id);
+    if (!lobby) return;
+
+    if (lobby.game && getGame(lobby.game.gameType)?.events[event]?.allowWhilePaused) return;
+
+    this.touchLobby(lobby);
+  }
+
+  touchLobby(lobby) {
+    lobby.lastActivity = Date.now();
+
+    if (lobby.idleWarningSent) {
+      lobby.idleWarningSent = false;
+      this.io.to(lobby.code).emit('lobby_idle_cancelled', { lobbyCode: lobby.code });
+    }
+  }
+
+  reapIdleLobbies() {
+    const now = Date.now();
+
+    for (const lobby of Array.from(this.lobbies.values())) {
+      // A running game keeps a lobby busy even if nobody is clicking (turns
+      // time out on their own); a paused one doesn't
+      if (lobby.state === 'playing' && lobby.game && !lobby.game.paused) {
+        lobby.lastActivity = now;
+        continue;
+      }
+
+      const expiresAt = lobby.lastActivity + LOBBY_IDLE_TIMEOUT;
+
+      if (now >= expiresAt) {
+        logger.info('Closing idle lobby', { lobbyCode: lobby.code, idleMinutes: Math.round((now - lobby.lastActivity) / 60000) });
+        this.closeLobby(lobby, 'The lobby was closed due to inactivity');
+      } else if (!lobby.idleWarningSent && now >= expiresAt - LOBBY_IDLE_WARNING) {
+        lobby.idleWarningSent = true;
+        this.io.to(lobby.code).emit('lobby_idle_warning', { lobbyCode: lobby.code, expiresAt });
+      }
     }
   }
 
+  // Persistence
+  serializeState() {
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      lobbies: Array.from(this.lobbies.values()).map(lobby => ({
+        code: lobby.code,
+        gameType: lobby.gameType,
+        host: lobby.host,
+        players: Array.from(lobby.players.values()),
+        settings: lobby.settings,
+        state: lobby.state,
+        visibility: lobby.visibility,
+        passwordHash: lobby.passwordHash,
+        maxPlayers: lobby.maxPlayers,
+        waitlistEnabled: lobby.waitlistEnabled,
+        bannedSessions: Array.from(lobby.bannedSessions),
+        chat: lobby.chat,
+        lastActivity: lobby.lastActivity,
+        game: lobby.game && typeof lobby.game.serialize === 'function' ? lobby.game.serialize() : null
+      })),
+      sessions: Array.from(this.sessions.values()),
+      disconnectedPlayers: Array.from(this.disconnectedPlayers.entries())
+    };
+  }
+
+  saveState() {
+    if (!this.store) return Promise.resolve();
+
+    // Queue behind a snapshot that's still being written so two writes never overlap
+    this.pendingSave = (this.pendingSave || Promise.resolve()).then(async () => {
+      try {
+        await this.store.save(this.serializeState());
+      } catch (error) {
+        logger.error('Failed to save state snapshot', { error });
+      }
+    });
+    return this.pendingSave;
+  }
+
+  // Graceful shutdown: refuse new lobbies, tell every client we're restarting,
+  // cancel every lobby's timers (games included) and write a final snapshot to restore from on boot
+  async shutdown(etaSeconds) {
+    this.shuttingDown = true;
+
+    for (const interval of this.intervals) {
+      clearInterval(interval);
+    }
+
+    this.io.emit('server_restarting', {
+      etaSeconds,
+      message: `The server is restarting and should be back in about ${etaSeconds} seconds`
+    });
+
+    for (const lobby of this.lobbies.values()) {
+      lobby.scheduler.close();
+    }
+
+    await this.saveState();
+    logger.info('Final state snapshot written', { lobbies: this.lobbies.size, sessions: this.sessions.size });
+  }
+
+  async restoreState() {
+    if (!this.store) return;
+
+    let snapshot;
+    try {
+      snapshot = await this.store.load();
+    } catch (error) {
+      logger.error('Failed to load state snapshot, starting fresh', { error });
+      return;
+    }
+
+    if (!snapshot) return;
+
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      logger.warn('Ignoring state snapshot from an incompatible version', { version: snapshot.version, expected: SNAPSHOT_VERSION });
+      return;
+    }
+
+    const now = Date.now();
+
+    for (const session of snapshot.sessions) {
+      this.sessions.set(session.sessionId, session);
+    }
+
+    // Players that were already waiting out their grace period keep their remaining time
+    for (const [playerId, disconnectData] of snapshot.disconnectedPlayers) {
+      this.disconnectedPlayers.set(playerId, disconnectData);
+    }
+
+    for (const data of snapshot.lobbies) {
+      const lobby = {
+        code: data.code,
+        gameType: data.gameType,
+        host: data.host,
+        players: new Map(data.players.map(player => [player.id, player])),
+        settings: data.settings,
+        game: null,
+        state: data.state,
+        visibility: data.visibility || 'public',
+        passwordHash: data.passwordHash || null,
+        maxPlayers: data.maxPlayers ?? null,
+        waitlistEnabled: data.waitlistEnabled ?? true,
+        waitlist: [], // Waitlisted sockets don't survive a restart
+        bannedSessions: new Set(data.bannedSessions || []),
+        chat: data.chat || [],
+        lastActivity: data.lastActivity || now,
+        idleWarningSent: false,
+        scheduler: new Scheduler(`lobby ${data.code}`)
+      };
+
+      // Every socket died with the old process, so every player is now
+      // disconnected. Players with a session get a fresh grace period to
+      // reconnect; players without one can never come back.
+      for (const player of Array.from(lobby.players.values())) {
+        player.socketId = null;
+        if (this.disconnectedPlayers.has(player.id)) continue;
+
+        const sessionId = this.findSessionIdByPlayer(player.id);
+        if (!sessionId) {
+          lobby.players.delete(player.id);
+          continue;
+        }
+
+        this.sessions.get(sessionId).lastSeen = now;
+        this.disconnectedPlayers.set(player.id, {
+          lobbyCode: lobby.code,
+          sessionId,
+          disconnectTime: now,
+          wasHost: lobby.host === player.id
+        });
+      }
+
+      if (lobby.players.size === 0) continue;
+
+      this.ensureHost(lobby);
+
+      const gameModule = getGame(lobby.gameType);
+      if (data.game && data.state === 'playing' && gameModule) {
+        lobby.game = gameModule.Game.fromSnapshot(this.io, lobby, this, data.game);
+      } else if (data.state === 'playing') {
+        // Game hadn't been created yet (or can't be restored) - back to selection
+        lobby.state = 'selecting';
+        lobby.gameType = null;
+      }
+
+      this.lobbies.set(lobby.code, lobby);
+    }
+
+    // Drop disconnect records and sessions that point at lobbies that weren't restored
+    for (const [playerId, disconnectData] of this.disconnectedPlayers.entries()) {
+      if (!this.lobbies.has(disconnectData.lobbyCode)) {
+        this.disconnectedPlayers.delete(playerId);
+        continue;
+      }
+      const elapsed = now - disconnectData.disconnectTime;
+      this.scheduleDisconnectRemoval(this.lobbies.get(disconnectData.lobbyCode), playerId, Math.max(0, DISCONNECT_GRACE_PERIOD - elapsed));
+    }
+
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (!this.lobbies.has(session.lobbyCode)) {
+        this.sessions.delete(sessionId);
+      }
+    }
+
+    for (const lobby of this.lobbies.values()) {
+      if (lobby.game) {
+        lobby.game.resume();
+      }
+    }
+
+    logger.info('Restored state from snapshot', { lobbies: this.lobbies.size, sessions: this.sessions.size });
+  }
+
   // Helper methods
+  findSessionIdByPlayer(playerId) {
+    for (const session of this.sessions.values()) {
+      if (session.playerId === playerId) {
+        return session.sessionId;
+      }
+    }
+    return null;
+  }
+
   getLobbyForSocket(socketId) {
     const lobbyCode = this.socketToLobby.get(socketId);
     return lobbyCode ? this.lobbies.get(lobbyCode) : null;
@@ -600,7 +1464,31 @@ export class LobbyManager {
       host: lobby.host,
       players: Array.from(lobby.players.values()),
       settings: lobby.settings,
-      state: lobby.state
+      state: lobby.state,
+      visibility: lobby.visibility,
+      maxPlayers: this.getMaxPlayers(lobby),
+      customMaxPlayers: lobby.maxPlayers,
+      gameMaxPlayers: this.getGameMaxPlayers(lobby.gameType),
+      waitlistEnabled: lobby.waitlistEnabled,
+      waitlist: lobby.waitlist.map(entry => ({ name: entry.name })),
+      paused: !!lobby.game?.paused
+    };
+  }
+
+  // Everything about a lobby, including its live game state - admin API only
+  getAdminLobbyInfo(lobby) {
+    return {
+      ...this.getLobbyInfo(lobby),
+      players: Array.from(lobby.players.values()).map(player => ({
+        ...player,
+        connected: !this.disconnectedPlayers.has(player.id)
+      })),
+      waitlist: lobby.waitlist.map(entry => ({ name: entry.name, joinedAt: entry.joinedAt })),
+      bannedSessions: lobby.bannedSessions.size,
+      chatMessages: lobby.chat.length,
+      lastActivity: lobby.lastActivity,
+      scheduledTasks: lobby.scheduler.pending(),
+      game: lobby.game && typeof lobby.game.serialize === 'function' ? lobby.game.serialize() : null
     };
   }
 
@@ -615,21 +1503,40 @@ export class LobbyManager {
     const publicLobbies = [];
 
     for (const [code, lobby] of this.lobbies.entries()) {
-      // Show all lobbies (including in-progress games for mid-game joining)
+      // Unlisted lobbies can only be joined by code
+      if (lobby.visibility === 'unlisted') continue;
+
+      // Show the rest (including in-progress games for mid-game joining)
       publicLobbies.push({
         code: lobby.code,
         playerCount: lobby.players.size,
+        maxPlayers: this.getMaxPlayers(lobby),
+        waitlistCount: lobby.waitlist.length,
         state: lobby.state,
         gameType: lobby.gameType,
-        hostName: lobby.players.get(lobby.host)?.name || 'Unknown'
+        hostName: lobby.players.get(lobby.host)?.name || 'Unknown',
+        requiresPassword: lobby.visibility === 'password'
       });
     }
 
     return publicLobbies;
   }
 
+  // Lobby counts grouped by state and game type, for the lobbies gauge
+  countLobbies() {
+    const counts = new Map();
+    for (const lobby of this.lobbies.values()) {
+      const key = `${lobby.state}:${lobby.gameType}`;
+      if (!counts.has(key)) {
+        counts.set(key, { state: lobby.state, gameType: lobby.gameType, count: 0 });
+      }
+      counts.get(key).count++;
+    }
+    return Array.from(counts.values());
+  }
+
   getStats() {
-    const stats = {
+    return {
       totalLobbies: this.lobbies.size,
       activeGames: Array.from(this.lobbies.values()).filter(l => l.state === 'playing').length,
       lobbies: Array.from(this.lobbies.entries()).map(([code, lobby]) => ({
@@ -639,7 +1546,5 @@ export class LobbyManager {
         playerCount: lobby.players.size
       }))
     };
-    console.log('[getStats]', JSON.stringify(stats, null, 2));
-    return stats;
   }
 }
@@ -0,0 +1,125 @@
+import { logger } from '../logging/index.js';
+
+// Timers for a lobby or a game. Everything they schedule goes through here so
+// it can all be cancelled at teardown (close), frozen with its remaining time
+// (pause) and inspected (pending). Each lobby owns one scheduler and its game
+// gets a child of it, so closing the lobby's also cancels the game's timers.
+export class Scheduler {
+  constructor(name, parent = null) {
+    this.name = name;
+    this.parent = parent;
+    this.children = new Set();
+    this.tasks = new Set(); // { name, callback, dueAt, remaining, timeout }
+    this.paused = false;
+    this.closed = false;
+  }
+
+  child(name) {
+    const scheduler = new Scheduler(`${this.name}/${name}`, this);
+    this.children.add(scheduler);
+    return scheduler;
+  }
+
+  // Run callback after delay ms. Returns a handle for cancel(), or null if the
+  // scheduler has been closed - a torn-down game can't schedule anything else.
+  schedule(name, delay, callback) {
+    if (this.closed) {
+      logger.debug('Ignoring task scheduled after close', { scheduler: this.name, task: name });
+      return null;
+    }
+
+    const task = { name, callback, dueAt: Date.now() + delay, remaining: delay, timeout: null };
+    this.tasks.add(task);
+    if (!this.paused) {
+      this.arm(task);
+    }
+    return task;
+  }
+
+  arm(task) {
+    task.dueAt = Date.now() + task.remaining;
+    task.timeout = setTimeout(() => {
+      this.tasks.delete(task);
+      task.callback();
+    }, task.remaining);
+  }
+
+  cancel(task) {
+    if (!task) return;
+    clearTimeout(task.timeout);
+    this.tasks.delete(task);
+  }
+
+  cancelByName(name) {
+    for (const task of this.tasks) {
+      if (task.name === name) {
+        this.cancel(task);
+      }
+    }
+  }
+
+  // Whether a task with this name is still waiting to run here
+  has(name) {
+    return Array.from(this.tasks).some(task => task.name === name);
+  }
+
+  // Freeze this scheduler's tasks (not its children's); tasks scheduled while
+  // paused wait for resume()
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+
+    const now = Date.now();
+    for (const task of this.tasks) {
+      clearTimeout(task.timeout);
+      task.remaining = Math.max(0, task.dueAt - now);
+    }
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+
+    for (const task of this.tasks) {
+      this.arm(task);
+    }
+  }
+
+  // Cancel every pending task here and in child schedulers
+  cancelAll() {
+    for (const task of this.tasks) {
+      clearTimeout(task.timeout);
+    }
+    this.tasks.clear();
+
+    for (const child of this.children) {
+      child.cancelAll();
+    }
+  }
+
+  // Cancel everything and refuse new tasks, for when the owner is torn down
+  close() {
+    this.cancelAll();
+    this.closed = true;
+
+    for (const child of Array.from(this.children)) {
+      child.close();
+    }
+    this.parent?.children.delete(this);
+  }
+
+  // Pending tasks here and in child schedulers, soonest first
+  pending() {
+    const now = Date.now();
+    const own = Array.from(this.tasks, task => ({
+      scheduler: this.name,
+      task: task.name,
+      remaining: this.paused ? task.remaining : Math.max(0, task.dueAt - now),
+      paused: this.paused
+    }));
+
+    return own
+      .concat(...Array.from(this.children, child => child.pending()))
+      .sort((a, b) => a.remaining - b.remaining);
+  }
+}
@@ -0,0 +1,21 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+// scrypt is deliberately slow; the async version runs it on the libuv thread
+// pool so a password attempt doesn't stall every other lobby
+const scryptAsync = promisify(scrypt);
+
+// Lobby passwords are only ever stored as salted scrypt hashes
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = (await scryptAsync(password, salt, 32)).toString('hex');
+  return { salt, hash };
+}
+
+export async function verifyPassword(password, passwordHash) {
+  if (!passwordHash || typeof password !== 'string') return false;
+
+  const expected = Buffer.from(passwordHash.hash, 'hex');
+  const actual = await scryptAsync(password, passwordHash.salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
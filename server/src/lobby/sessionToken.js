@@ -0,0 +1,39 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { logger } from '../logging/index.js';
+
+// Session tokens are "<sessionId>.<nonce>.<signature>". The HMAC proves the
+// server issued the token; the nonce is also stored on the session and replaced
+// on every reconnect, so each token can only be redeemed once.
+const secret = process.env.SESSION_SECRET || randomSecret();
+
+function randomSecret() {
+  logger.warn('SESSION_SECRET is not set, using a random secret - players cannot reconnect across restarts');
+  return randomBytes(32).toString('hex');
+}
+
+const sign = (payload) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+// Session ids are always server-generated so clients can't pick someone else's
+export const newSessionId = () => randomUUID();
+export const newTokenNonce = () => randomBytes(12).toString('base64url');
+
+export function createSessionToken(sessionId, nonce) {
+  const payload = `${sessionId}.${nonce}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns { sessionId, nonce } for a token this server signed, or null for
+// anything malformed or forged
+export function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [sessionId, nonce, signature] = parts;
+  const expected = Buffer.from(sign(`${sessionId}.${nonce}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  return { sessionId, nonce };
+}
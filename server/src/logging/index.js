@@ -0,0 +1 @@
+export { logger, createLogger, sessionTag, LEVELS } from './logger.js';
@@ -0,0 +1,48 @@
+// Leveled JSON logger. Every line is a single JSON object:
+//   {"time":"...","level":"info","msg":"Player joined lobby","lobbyCode":"AB12CD",...}
+// so production logs can be filtered by any field (e.g. grep '"lobbyCode":"AB12CD"').
+// LOG_LEVEL sets the minimum level written (debug, info, warn, error; default info).
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+
+// Errors don't survive JSON.stringify, so flatten them
+function serializeField(value) {
+  if (value instanceof Error) {
+    return { message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, context, msg, fields) {
+  if (LEVELS[level] < minLevel) return;
+
+  const entry = { time: new Date().toISOString(), level, msg, ...context };
+  for (const [key, value] of Object.entries(fields || {})) {
+    entry[key] = serializeField(value);
+  }
+
+  const line = JSON.stringify(entry) + '\n';
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+// Create a logger whose lines all carry `context`. Use child() to add fields
+// for a narrower scope, e.g. logger.child({ lobbyCode }) inside a game.
+export function createLogger(context = {}) {
+  return {
+    debug: (msg, fields) => write('debug', context, msg, fields),
+    info: (msg, fields) => write('info', context, msg, fields),
+    warn: (msg, fields) => write('warn', context, msg, fields),
+    error: (msg, fields) => write('error', context, msg, fields),
+    child: (fields) => createLogger({ ...context, ...fields })
+  };
+}
+
+// Short session id prefix - enough to correlate lines without logging the whole secret
+export const sessionTag = (sessionId) => sessionId ? sessionId.substring(0, 8) : undefined;
+
+export const logger = createLogger();
@@ -0,0 +1,33 @@
+import { MetricsRegistry, Counter, Gauge, Histogram } from './metrics.js';
+
+export { MetricsRegistry, Counter, Gauge, Histogram } from './metrics.js';
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Application metrics, served at /metrics. Gauges that mirror server state
+// (sockets, lobbies) are computed at scrape time - see their collect() calls.
+export const registry = new MetricsRegistry();
+
+export const metrics = {
+  activeSockets: registry.register(new Gauge(
+    'arcade_active_sockets', 'Connected Socket.IO clients'
+  )),
+  lobbies: registry.register(new Gauge(
+    'arcade_lobbies', 'Open lobbies by state and selected game', ['state', 'game_type']
+  )),
+  gamesStarted: registry.register(new Counter(
+    'arcade_games_started_total', 'Games started', ['game_type']
+  )),
+  gamesFinished: registry.register(new Counter(
+    'arcade_games_finished_total', 'Games played to completion, by result', ['game_type', 'result']
+  )),
+  reconnections: registry.register(new Counter(
+    'arcade_reconnections_total', 'Reconnection outcomes for disconnected players (succeeded, expired or rejected)', ['result']
+  )),
+  socketEvents: registry.register(new Counter(
+    'arcade_socket_events_total', 'Socket events received, by outcome (handled, invalid, rate_limited, error)', ['event', 'outcome']
+  )),
+  eventDuration: registry.register(new Histogram(
+    'arcade_event_handling_seconds', 'Time spent handling socket events', ['event']
+  ))
+};
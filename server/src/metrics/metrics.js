@@ -0,0 +1,128 @@
+// Minimal Prometheus metric types and text exposition
+// (https://prometheus.io/docs/instrumenting/exposition_formats/).
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // key -> { labels, value }
+  }
+
+  initialValue() {
+    return 0;
+  }
+
+  getSeries(labels = {}) {
+    const key = this.labelNames.map(name => labels[name] ?? '').join('\u0000');
+    if (!this.series.has(key)) {
+      const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+      this.series.set(key, { labels: picked, value: this.initialValue() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+    this.collector = null;
+  }
+
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+
+  // Compute the gauge at scrape time instead of tracking it. The collector
+  // gets the gauge with its previous series cleared and calls set().
+  collect(collector) {
+    this.collector = collector;
+  }
+
+  render() {
+    if (this.collector) {
+      this.series.clear();
+      this.collector(this);
+    }
+    return super.render();
+  }
+}
+
+export const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  initialValue() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    const { counts } = series.value;
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) counts[i]++;
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
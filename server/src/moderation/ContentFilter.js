@@ -0,0 +1,60 @@
+// Word-list content filter for player-supplied text (names, clues, chat).
+//   mask    blocked words are replaced with asterisks
+//   reject  text containing a blocked word is refused
+//   flag    text passes through unchanged but is reported as flagged
+//   off     no filtering
+export const FILTER_MODES = ['mask', 'reject', 'flag', 'off'];
+
+// Common letter substitutions used to dodge filters ("sh1t", "@ss")
+const SUBSTITUTIONS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+const SUFFIXES = ['', 's', 'es', 'ed', 'ing'];
+const TOKEN_PATTERN = /[\p{L}\p{N}@$]+/gu;
+
+function normalize(token) {
+  return Array.from(token.toLowerCase(), char => SUBSTITUTIONS[char] || char).join('');
+}
+
+export class ContentFilter {
+  constructor({ mode = 'mask', words = [] } = {}) {
+    if (!FILTER_MODES.includes(mode)) {
+      throw new Error(`Unknown content filter mode "${mode}" (expected one of ${FILTER_MODES.join(', ')})`);
+    }
+
+    this.mode = mode;
+    this.words = new Set(words.map(word => word.trim().toLowerCase()).filter(Boolean));
+  }
+
+  isBlocked(token) {
+    const normalized = normalize(token);
+    return SUFFIXES.some(suffix =>
+      normalized.endsWith(suffix) && this.words.has(normalized.slice(0, normalized.length - suffix.length))
+    );
+  }
+
+  // Returns { allowed, text, flagged, matches }. `text` is what should be used
+  // in place of the input (masked in mask mode, unchanged otherwise).
+  check(text) {
+    if (this.mode === 'off') {
+      return { allowed: true, text, flagged: false, matches: [] };
+    }
+
+    const matches = (text.match(TOKEN_PATTERN) || []).filter(token => this.isBlocked(token));
+    if (matches.length === 0) {
+      return { allowed: true, text, flagged: false, matches };
+    }
+
+    switch (this.mode) {
+      case 'mask':
+        return {
+          allowed: true,
+          text: text.replace(TOKEN_PATTERN, token => this.isBlocked(token) ? '*'.repeat(token.length) : token),
+          flagged: false,
+          matches
+        };
+      case 'reject':
+        return { allowed: false, text, flagged: false, matches };
+      default: // flag
+        return { allowed: true, text, flagged: true, matches };
+    }
+  }
+}
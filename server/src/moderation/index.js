@@ -0,0 +1,56 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { ContentFilter } from './ContentFilter.js';
+import { logger } from '../logging/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export { ContentFilter, FILTER_MODES } from './ContentFilter.js';
+
+function loadWordList(path) {
+  return readFileSync(path, 'utf-8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// CONTENT_FILTER_MODE picks the mode (default mask); CONTENT_FILTER_WORDS_FILE
+// adds words on top of the bundled list
+function createContentFilter() {
+  const words = loadWordList(join(__dirname, '../data/blocked-words.txt'));
+
+  if (process.env.CONTENT_FILTER_WORDS_FILE) {
+    try {
+      words.push(...loadWordList(process.env.CONTENT_FILTER_WORDS_FILE));
+    } catch (error) {
+      logger.error('Failed to load CONTENT_FILTER_WORDS_FILE, using the bundled list only', { error });
+    }
+  }
+
+  return new ContentFilter({ mode: process.env.CONTENT_FILTER_MODE || 'mask', words });
+}
+
+export const contentFilter = createContentFilter();
+
+// Run player-supplied text through the filter. Flagged and rejected text is
+// logged so moderators can review it; callers refuse the request when
+// `allowed` is false and otherwise use the returned `text`.
+export function filterText(socket, event, text) {
+  const result = contentFilter.check(text);
+
+  if (!result.allowed) {
+    logger.warn('Rejected blocked content', { event, socketId: socket.id, matches: result.matches });
+  } else if (result.flagged) {
+    logger.warn('Flagged content for review', { event, socketId: socket.id, text, matches: result.matches });
+  }
+
+  return result;
+}
+
+export const contentRejected = (what) => ({
+  success: false,
+  code: 'CONTENT_REJECTED',
+  error: `${what} contains words that aren't allowed`
+});
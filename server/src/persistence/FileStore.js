@@ -0,0 +1,30 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+// Stores the server state snapshot as a single JSON file on local disk.
+// Writes go to a temp file first and are renamed into place, so a crash
+// mid-write never leaves a truncated snapshot behind.
+export class FileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      const raw = await readFile(this.filePath, 'utf-8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null; // No snapshot yet (first boot)
+      }
+      throw error;
+    }
+  }
+
+  async save(snapshot) {
+    const tempPath = `${this.filePath}.tmp`;
+    await mkdir(dirname(this.filePath), { recursive: true });
+    await writeFile(tempPath, JSON.stringify(snapshot), 'utf-8');
+    await rename(tempPath, this.filePath);
+  }
+}
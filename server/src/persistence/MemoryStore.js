@@ -0,0 +1,15 @@
+// Keeps the snapshot in process memory only. Used when persistence is
+// disabled, so state is still lost on restart (the original behaviour).
+export class MemoryStore {
+  constructor() {
+    this.snapshot = null;
+  }
+
+  async load() {
+    return this.snapshot;
+  }
+
+  async save(snapshot) {
+    this.snapshot = snapshot;
+  }
+}
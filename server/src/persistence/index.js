@@ -0,0 +1,18 @@
+import { FileStore } from './FileStore.js';
+import { MemoryStore } from './MemoryStore.js';
+
+// Pick a persistence backend from env.
+// PERSISTENCE_DRIVER: 'file' (default) or 'memory'
+// PERSISTENCE_FILE: snapshot path for the file driver
+export function createStore() {
+  const driver = process.env.PERSISTENCE_DRIVER || 'file';
+
+  switch (driver) {
+    case 'file':
+      return new FileStore(process.env.PERSISTENCE_FILE || './data/arcade-state.json');
+    case 'memory':
+      return new MemoryStore();
+    default:
+      throw new Error(`Unknown PERSISTENCE_DRIVER: ${driver}`);
+  }
+}
@@ -0,0 +1,90 @@
+import { TokenBucket } from './TokenBucket.js';
+
+// Per-socket rate limiter with one token bucket per event type.
+// Excess messages are dropped (or coalesced for events configured that way).
+// Too many drops within the violation window marks the client as abusive.
+export class RateLimiter {
+  constructor(limits, { maxViolations, violationWindowMs, onAbuse }) {
+    this.limits = limits; // event -> { capacity, refillPerSecond, coalesce }
+    this.maxViolations = maxViolations;
+    this.violationWindowMs = violationWindowMs;
+    this.onAbuse = onAbuse;
+    this.buckets = new Map(); // event -> TokenBucket
+    this.pending = new Map(); // event -> { deliver, timer } for coalesced events
+    this.violations = []; // timestamps of dropped messages
+    this.abusive = false;
+  }
+
+  getBucket(event) {
+    if (!this.buckets.has(event)) {
+      const { capacity, refillPerSecond } = this.limits(event);
+      this.buckets.set(event, new TokenBucket(capacity, refillPerSecond));
+    }
+    return this.buckets.get(event);
+  }
+
+  // Run `deliver` now if the event is within budget. Otherwise drop it, or for
+  // coalescing events keep it as the latest pending message. Returns false if dropped.
+  handle(event, deliver) {
+    if (this.abusive) return false;
+
+    const bucket = this.getBucket(event);
+    const limit = this.limits(event);
+
+    if (limit.coalesce) {
+      const pending = this.pending.get(event);
+      if (pending) {
+        // A delivery is already scheduled - just swap in the newest message
+        pending.deliver = deliver;
+        return true;
+      }
+      if (bucket.tryTake()) {
+        deliver();
+        return true;
+      }
+      this.scheduleCoalesced(event, bucket, deliver);
+      return true;
+    }
+
+    if (bucket.tryTake()) {
+      deliver();
+      return true;
+    }
+
+    this.recordViolation(event);
+    return false;
+  }
+
+  scheduleCoalesced(event, bucket, deliver) {
+    const entry = { deliver, timer: null };
+    entry.timer = setTimeout(() => {
+      this.pending.delete(event);
+      if (this.abusive) return;
+      bucket.tryTake();
+      entry.deliver();
+    }, bucket.msUntilToken());
+    this.pending.set(event, entry);
+  }
+
+  recordViolation(event) {
+    const now = Date.now();
+    this.violations.push(now);
+    while (this.violations.length > 0 && now - this.violations[0] > this.violationWindowMs) {
+      this.violations.shift();
+    }
+
+    if (this.violations.length >= this.maxViolations) {
+      this.abusive = true;
+      this.dispose();
+      this.onAbuse(event, this.violations.length);
+    }
+  }
+
+  // Cancel pending coalesced deliveries (on disconnect)
+  dispose() {
+    for (const { timer } of this.pending.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,23 @@
+import { RateLimiter } from './RateLimiter.js';
+import { DEFAULT_LIMIT, coreLimits, loadLimitOverrides, abuseLimits } from './limits.js';
+
+export { RateLimiter } from './RateLimiter.js';
+export { TokenBucket } from './TokenBucket.js';
+
+const overrides = loadLimitOverrides();
+
+// Build the rate limiter for a newly connected socket. gameLimits maps game
+// event names to the rateLimit declared in their game module.
+export function createSocketRateLimiter(gameLimits, onAbuse) {
+  const resolved = new Map(); // event -> limit
+
+  const limits = (event) => {
+    if (!resolved.has(event)) {
+      const base = coreLimits[event] || gameLimits[event] || DEFAULT_LIMIT;
+      resolved.set(event, { ...base, ...overrides[event] });
+    }
+    return resolved.get(event);
+  };
+
+  return new RateLimiter(limits, { ...abuseLimits, onAbuse });
+}
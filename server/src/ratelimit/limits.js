@@ -0,0 +1,52 @@
+import { logger } from '../logging/index.js';
+
+// Default per-socket budgets for core events. Game events declare theirs in
+// their game module (events[name].rateLimit) and fall back to DEFAULT_LIMIT.
+//   capacity         burst size
+//   refillPerSecond  sustained rate
+//   coalesce         over-budget messages replace a single pending message that is
+//                    delivered once a token frees up, instead of being dropped.
+//                    Used for high-frequency state like cursor positions.
+export const DEFAULT_LIMIT = { capacity: 10, refillPerSecond: 5 };
+
+export const coreLimits = {
+  create_lobby: { capacity: 3, refillPerSecond: 0.2 },
+  join_lobby: { capacity: 5, refillPerSecond: 0.5 },
+  update_lobby_visibility: { capacity: 5, refillPerSecond: 0.5 },
+  update_lobby_capacity: { capacity: 5, refillPerSecond: 0.5 },
+  kick_player: { capacity: 5, refillPerSecond: 0.5 },
+  ban_player: { capacity: 5, refillPerSecond: 0.5 },
+  transfer_host: { capacity: 3, refillPerSecond: 0.5 },
+  send_chat_message: { capacity: 5, refillPerSecond: 1 },
+  rename_player: { capacity: 3, refillPerSecond: 0.2 },
+  get_lobby_list: { capacity: 5, refillPerSecond: 1 },
+  get_game_list: { capacity: 5, refillPerSecond: 1 },
+  select_gamemode: { capacity: 5, refillPerSecond: 1 },
+  start_game: { capacity: 3, refillPerSecond: 0.5 },
+  request_game_state: { capacity: 3, refillPerSecond: 0.5 },
+  pause_game: { capacity: 3, refillPerSecond: 0.5 },
+  resume_game: { capacity: 3, refillPerSecond: 0.5 },
+  lobby_cursor_move: { capacity: 30, refillPerSecond: 25, coalesce: true },
+  update_player_color: { capacity: 5, refillPerSecond: 1 },
+  clock_sync: { capacity: 10, refillPerSecond: 1 }
+};
+
+// Limits can be overridden per event with RATE_LIMITS, a JSON object such as
+// {"shuffle_words":{"capacity":5,"refillPerSecond":1}}
+export function loadLimitOverrides() {
+  if (!process.env.RATE_LIMITS) return {};
+
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (error) {
+    logger.error('Ignoring invalid RATE_LIMITS (must be JSON)', { error });
+    return {};
+  }
+}
+
+export const abuseLimits = {
+  // Disconnect a socket after this many dropped messages...
+  maxViolations: parseInt(process.env.RATE_LIMIT_MAX_VIOLATIONS, 10) || 100,
+  // ...within this window
+  violationWindowMs: parseInt(process.env.RATE_LIMIT_VIOLATION_WINDOW_MS, 10) || 10 * 1000
+};
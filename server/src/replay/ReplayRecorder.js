@@ -0,0 +1,71 @@
+export const REPLAY_VERSION = 1;
+
+// Ordered, timestamped log of everything a game tells its players, plus a few
+// record-only entries (individual votes, guessed groups) that are never
+// broadcast. Each entry is { t, event, data } with t in ms since the game
+// started; entries sent to a single player also carry `to` (their player id).
+export class ReplayRecorder {
+  constructor({ gameId, gameType, lobbyCode, seed, settings }) {
+    this.gameId = gameId;
+    this.gameType = gameType;
+    this.lobbyCode = lobbyCode;
+    this.seed = seed;
+    this.settings = settings;
+    this.players = [];
+    this.startedAt = Date.now();
+    this.events = [];
+  }
+
+  // Called from the game's start() with everyone seated at that point
+  start(players) {
+    this.startedAt = Date.now();
+    this.players = Array.from(players, ({ id, name, color }) => ({ id, name, color }));
+  }
+
+  record(event, data, to = null) {
+    // Copy the payload - games keep mutating the objects they broadcast
+    const entry = { t: Date.now() - this.startedAt, event, data: structuredClone(data) };
+    if (to) {
+      entry.to = to;
+    }
+    this.events.push(entry);
+  }
+
+  // The downloadable replay, once the game has a result
+  finish(result) {
+    return {
+      version: REPLAY_VERSION,
+      gameId: this.gameId,
+      gameType: this.gameType,
+      lobbyCode: this.lobbyCode,
+      seed: this.seed,
+      settings: this.settings,
+      players: this.players,
+      startedAt: this.startedAt,
+      endedAt: Date.now(),
+      result,
+      events: this.events
+    };
+  }
+
+  serialize() {
+    return {
+      gameId: this.gameId,
+      gameType: this.gameType,
+      lobbyCode: this.lobbyCode,
+      seed: this.seed,
+      settings: this.settings,
+      players: this.players,
+      startedAt: this.startedAt,
+      events: this.events
+    };
+  }
+
+  static fromSnapshot(data) {
+    const recorder = new ReplayRecorder(data);
+    recorder.players = data.players;
+    recorder.startedAt = data.startedAt;
+    recorder.events = data.events;
+    return recorder;
+  }
+}
@@ -0,0 +1,21 @@
+// Finished game replays, keyed by game id. Only the most recent `limit`
+// replays are kept; older ones are dropped as new games finish.
+export class ReplayStore {
+  constructor(limit) {
+    this.limit = limit;
+    this.replays = new Map(); // gameId -> replay, oldest first
+  }
+
+  save(replay) {
+    this.replays.set(replay.gameId, replay);
+
+    while (this.replays.size > this.limit) {
+      const oldest = this.replays.keys().next().value;
+      this.replays.delete(oldest);
+    }
+  }
+
+  get(gameId) {
+    return this.replays.get(gameId) || null;
+  }
+}
@@ -0,0 +1,7 @@
+import { ReplayStore } from './ReplayStore.js';
+
+export { ReplayRecorder, REPLAY_VERSION } from './ReplayRecorder.js';
+export { createReplayRouter } from './router.js';
+
+// REPLAY_HISTORY_LIMIT caps how many finished games keep their replay in memory
+export const replayStore = new ReplayStore(parseInt(process.env.REPLAY_HISTORY_LIMIT, 10) || 200);
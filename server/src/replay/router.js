@@ -0,0 +1,22 @@
+import express from 'express';
+
+// Public replay download, keyed by the gameId sent with game_end/connections_end.
+//   GET /:gameId             the replay as JSON
+//   GET /:gameId?download=1  the same, as a file attachment
+export function createReplayRouter({ replays }) {
+  const router = express.Router();
+
+  router.get('/:gameId', (req, res) => {
+    const replay = replays.get(req.params.gameId);
+    if (!replay) {
+      return res.status(404).json({ success: false, error: 'Replay not found' });
+    }
+
+    if (req.query.download) {
+      res.attachment(`${replay.gameType}-replay-${replay.gameId}.json`);
+    }
+    res.json(replay);
+  });
+
+  return router;
+}
@@ -0,0 +1,12 @@
+// Field schemas shared by lobby and game event schemas
+export const playerName = { type: 'string', notBlank: true, minLength: 1, maxLength: 20 };
+export const lobbyCode = { type: 'string', pattern: /^[A-Z0-9]{6}$/ };
+export const playerId = { type: 'string', minLength: 1, maxLength: 64 };
+export const chatText = { type: 'string', notBlank: true, minLength: 1, maxLength: 300 };
+export const cursorPosition = {
+  type: 'object',
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' }
+  }
+};
@@ -0,0 +1,24 @@
+import { logger } from '../logging/index.js';
+
+export { validate } from './validate.js';
+export { eventSchemas, gameSettingsSchema } from './schemas.js';
+
+// Reject a bad payload: structured error via the ack callback if the client
+// sent one, otherwise as an 'invalid_payload' event. Offenders are logged.
+export function rejectPayload(socket, event, errors, callback) {
+  logger.warn('Rejected invalid payload', { event, socketId: socket.id, errors });
+
+  const response = {
+    success: false,
+    code: 'INVALID_PAYLOAD',
+    error: 'Invalid request',
+    event,
+    details: errors
+  };
+
+  if (callback) {
+    callback(response);
+  } else {
+    socket.emit('invalid_payload', response);
+  }
+}
@@ -0,0 +1,100 @@
+import { listGames } from '../games/index.js';
+import { playerName, lobbyCode, playerId, chatText, cursorPosition } from './fields.js';
+
+const gameIds = listGames().map(game => game.id);
+
+const visibility = { type: 'string', optional: true, enum: ['public', 'unlisted', 'password'] };
+const password = { type: 'string', optional: true, minLength: 1, maxLength: 64 };
+
+// Free-form settings are checked against the selected game's settings schema in LobbyManager
+const settings = { type: 'object', optional: true, maxKeys: 20 };
+
+// Schemas for the core lobby events. Game events declare theirs in their game module.
+// null means the event takes no payload.
+export const eventSchemas = {
+  create_lobby: {
+    type: 'object',
+    properties: {
+      playerName,
+      gameType: { type: 'string', optional: true, enum: gameIds },
+      settings,
+      visibility,
+      password
+    }
+  },
+  join_lobby: {
+    type: 'object',
+    properties: {
+      lobbyCode,
+      playerName,
+      password
+    }
+  },
+  leave_lobby: null,
+  get_lobby_list: null,
+  get_game_list: null,
+  select_gamemode: {
+    type: 'object',
+    properties: {
+      gameType: { type: 'string', optional: true, enum: gameIds },
+      settings
+    }
+  },
+  update_lobby_visibility: {
+    type: 'object',
+    properties: {
+      visibility: { ...visibility, optional: false },
+      password
+    }
+  },
+  update_lobby_capacity: {
+    type: 'object',
+    properties: {
+      maxPlayers: { type: 'number', optional: true, integer: true, min: 1, max: 50 },
+      waitlistEnabled: { type: 'boolean', optional: true }
+    }
+  },
+  leave_waitlist: null,
+  kick_player: { type: 'object', properties: { playerId } },
+  ban_player: { type: 'object', properties: { playerId } },
+  transfer_host: { type: 'object', properties: { playerId } },
+  send_chat_message: { type: 'object', properties: { text: chatText } },
+  rename_player: { type: 'object', properties: { playerName } },
+  start_game: {
+    type: 'object',
+    optional: true,
+    properties: {
+      settings
+    }
+  },
+  lobby_cursor_move: cursorPosition,
+  update_player_color: {
+    type: 'object',
+    properties: {
+      color: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/ }
+    }
+  },
+  leave_game: null,
+  request_game_state: null,
+  pause_game: null,
+  resume_game: null,
+  clock_sync: {
+    type: 'object',
+    properties: {
+      clientTime: { type: 'number' }
+    }
+  }
+};
+
+// Build a validator schema from a game module's settings schema
+export function gameSettingsSchema(gameSettings) {
+  const properties = {};
+  for (const [key, setting] of Object.entries(gameSettings)) {
+    properties[key] = {
+      type: setting.type === 'enum' ? 'string' : setting.type,
+      optional: true,
+      ...(setting.options && { enum: setting.options })
+    };
+  }
+  return { type: 'object', optional: true, properties };
+}
@@ -0,0 +1,110 @@
+// Minimal schema validator for socket payloads. A schema is a plain object:
+//   type        'string' | 'number' | 'boolean' | 'array' | 'object' | 'any'
+//   optional    allow undefined/null
+//   enum        allowed values
+//   minLength / maxLength / notBlank / pattern   (strings)
+//   min / max / integer                         (numbers)
+//   items / minItems / maxItems                 (arrays)
+//   properties / maxKeys                        (objects)
+// Returns a list of human-readable errors (empty when valid).
+export function validate(schema, value, path = 'payload') {
+  const errors = [];
+  check(schema, value, path, errors);
+  return errors;
+}
+
+function check(schema, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (!schema.optional) {
+      errors.push(`${path} is required`);
+    }
+    return;
+  }
+
+  switch (schema.type) {
+    case 'any':
+      break;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be a string`);
+        return;
+      }
+      if (schema.notBlank && value.trim().length === 0) {
+        errors.push(`${path} must not be blank`);
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${path} has an invalid format`);
+      }
+      break;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path} must be a number`);
+        return;
+      }
+      if (schema.integer && !Number.isInteger(value)) {
+        errors.push(`${path} must be an integer`);
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${path} must be >= ${schema.min}`);
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${path} must be <= ${schema.max}`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path} must be a boolean`);
+        return;
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items`);
+        return; // Don't walk oversized arrays
+      }
+      if (schema.items) {
+        value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+      }
+      break;
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      if (schema.maxKeys !== undefined && Object.keys(value).length > schema.maxKeys) {
+        errors.push(`${path} must have at most ${schema.maxKeys} keys`);
+        return;
+      }
+      if (schema.properties) {
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+          check(propertySchema, value[key], `${path}.${key}`, errors);
+        }
+      }
+      break;
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+}
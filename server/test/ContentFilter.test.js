@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContentFilter } from '../src/moderation/ContentFilter.js';
+
+const words = ['darn', 'heck'];
+
+test('clean text passes through in every mode', () => {
+  for (const mode of ['mask', 'reject', 'flag', 'off']) {
+    assert.deepEqual(new ContentFilter({ mode, words }).check('hello there'), {
+      allowed: true, text: 'hello there', flagged: false, matches: []
+    });
+  }
+});
+
+test('mask mode stars out blocked words, keeping the rest', () => {
+  const result = new ContentFilter({ mode: 'mask', words }).check('Oh DARN it, heck!');
+  assert.equal(result.allowed, true);
+  assert.equal(result.text, 'Oh **** it, ****!');
+  assert.deepEqual(result.matches, ['DARN', 'heck']);
+});
+
+test('reject mode refuses the text and flag mode lets it through marked', () => {
+  assert.equal(new ContentFilter({ mode: 'reject', words }).check('darn').allowed, false);
+
+  const flagged = new ContentFilter({ mode: 'flag', words }).check('darn');
+  assert.equal(flagged.allowed, true);
+  assert.equal(flagged.flagged, true);
+  assert.equal(flagged.text, 'darn');
+});
+
+test('off mode does no filtering', () => {
+  assert.equal(new ContentFilter({ mode: 'off', words }).check('darn').text, 'darn');
+});
+
+test('catches common letter substitutions and suffixes', () => {
+  const filter = new ContentFilter({ mode: 'reject', words });
+
+  assert.equal(filter.check('d4rn').allowed, false);
+  assert.equal(filter.check('h3ck').allowed, false);
+  assert.equal(filter.check('darned').allowed, false);
+  assert.equal(filter.check('hecking').allowed, false);
+});
+
+test('does not match blocked words inside longer words', () => {
+  assert.equal(new ContentFilter({ mode: 'reject', words }).check('heckle darnation').allowed, true);
+});
+
+test('an unknown mode is refused', () => {
+  assert.throws(() => new ContentFilter({ mode: 'strict', words }), /Unknown content filter mode "strict"/);
+});
@@ -0,0 +1,74 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the game modules from writing match history to disk or logging every step
+process.env.MATCH_HISTORY_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const { ImposterGame } = await import('../src/games/ImposterGame.js');
+const { Scheduler } = await import('../src/lobby/Scheduler.js');
+
+// Just enough of a lobby, Socket.IO server and LobbyManager for a game to run against
+function createGame(playerCount) {
+  const players = new Map();
+  for (let i = 0; i < playerCount; i++) {
+    const id = `p${i}`;
+    players.set(id, { id, name: `Player ${i}`, color: '#888', isSpectator: false });
+  }
+
+  const lobby = {
+    code: 'TEST01',
+    gameType: 'imposter',
+    state: 'playing',
+    players,
+    settings: {},
+    scheduler: new Scheduler('lobby TEST01')
+  };
+  const io = { to: () => ({ emit() {} }) };
+  const lobbyManager = { lobbies: new Map([[lobby.code, lobby]]), broadcastLobbyUpdate() {} };
+
+  lobby.game = new ImposterGame(io, lobby, lobbyManager, { seed: 1 });
+  return { lobby, game: lobby.game };
+}
+
+test('a game that ends while paused still returns to the lobby', (t) => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  t.after(() => mock.timers.reset());
+
+  const { lobby, game } = createGame(4);
+  game.start();
+  mock.timers.tick(2000); // First round starts
+  game.pause();
+
+  // The only imposter leaving hands the innocents the win
+  const [imposterId] = game.imposters;
+  game.handlePlayerLeave(imposterId);
+  lobby.players.delete(imposterId);
+
+  assert.equal(game.phase, 'gameEnd');
+  assert.equal(game.paused, false);
+
+  mock.timers.tick(5000);
+  assert.equal(lobby.state, 'selecting');
+  assert.equal(lobby.game, null);
+});
+
+test('a leaving player is not counted towards the players needed to go on', (t) => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  t.after(() => mock.timers.reset());
+
+  const { game } = createGame(4);
+  game.start();
+  mock.timers.tick(2000);
+
+  // Imposter and one innocent left standing once the other innocent goes: too few to play on
+  const [eliminatedId, leaverId] = game.innocents;
+  game.eliminatedPlayers.add(eliminatedId);
+  const endGame = mock.method(game, 'endGame');
+
+  // The lobby still lists the leaver while the game is told, as LobbyManager does
+  game.handlePlayerLeave(leaverId);
+
+  assert.equal(endGame.mock.callCount(), 1);
+  assert.equal(endGame.mock.calls[0].arguments[0], 'draw');
+});
@@ -0,0 +1,137 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep games from writing match history to disk or logging every step
+process.env.MATCH_HISTORY_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_SECRET = 'test-secret';
+
+const { LobbyManager } = await import('../src/lobby/LobbyManager.js');
+const { verifySessionToken } = await import('../src/lobby/sessionToken.js');
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] }));
+afterEach(() => mock.timers.reset());
+
+// Just enough of a Socket.IO server and its sockets for the lobby manager to run against
+function createServer() {
+  const sent = []; // { room, event, payload } for everything sent through io.to()
+  const io = {
+    to: (room) => ({ emit: (event, payload) => sent.push({ room, event, payload }) }),
+    emit() {},
+    sockets: { sockets: new Map() }
+  };
+  const manager = new LobbyManager(io);
+
+  const connect = () => {
+    const socket = {
+      id: `socket-${io.sockets.sockets.size}`,
+      connected: true,
+      data: {},
+      emitted: [],
+      emit(event, payload) { this.emitted.push({ event, payload }); },
+      join() {},
+      leave() {},
+      broadcast: { to: () => ({ emit() {} }) }
+    };
+    io.sockets.sockets.set(socket.id, socket);
+    return socket;
+  };
+
+  const call = (method, socket, data = {}) => new Promise(resolve => manager[method](socket, data, resolve));
+
+  return { io, manager, sent, connect, call };
+}
+
+// A host and two more players in an Imposter lobby
+async function createLobby(server) {
+  const [host, ...others] = [server.connect(), server.connect(), server.connect()];
+  const { lobbyCode } = await server.call('createLobby', host, { playerName: 'Host', gameType: 'imposter' });
+  for (const [i, socket] of others.entries()) {
+    await server.call('joinLobby', socket, { lobbyCode, playerName: `Player ${i + 1}` });
+  }
+  return { lobby: server.manager.lobbies.get(lobbyCode), host, others };
+}
+
+test('a second start_game is refused while the first game is starting or running', async () => {
+  const server = createServer();
+  const { lobby, host } = await createLobby(server);
+
+  assert.equal((await server.call('startGame', host)).success, true);
+  assert.deepEqual(await server.call('startGame', host), { success: false, error: 'A game is already running' });
+
+  mock.timers.tick(100);
+  const game = lobby.game;
+  assert.ok(game);
+  assert.deepEqual(await server.call('startGame', host), { success: false, error: 'A game is already running' });
+
+  mock.timers.tick(100);
+  assert.equal(lobby.game, game);
+  // game_start goes to each player once
+  const starts = server.sent.filter(({ event }) => event === 'game_start').map(({ room }) => room);
+  assert.deepEqual(starts.sort(), Array.from(lobby.players.keys()).sort());
+});
+
+test('the game mode cannot change while a game is running', async () => {
+  const server = createServer();
+  const { lobby, host } = await createLobby(server);
+
+  await server.call('startGame', host);
+  mock.timers.tick(100);
+
+  const response = await server.call('selectGamemode', host, { gameType: 'connections', settings: {} });
+  assert.deepEqual(response, { success: false, error: 'Wait for the current game to end' });
+  assert.equal(lobby.gameType, 'imposter');
+  assert.equal(lobby.state, 'playing');
+});
+
+test('game events go to the running game\'s own module, whatever the lobby says', async () => {
+  const server = createServer();
+  const { lobby, host } = await createLobby(server);
+
+  await server.call('startGame', host);
+  mock.timers.tick(100);
+
+  // A Connections event can't reach the Imposter game even if the lobby's game type drifts
+  lobby.gameType = 'connections';
+  assert.doesNotThrow(() => server.manager.handleGameEvent(host, 'use_hint', {}));
+});
+
+test('a start is refused when the lobby has more players than the game allows', async () => {
+  const server = createServer();
+  const { lobby, host } = await createLobby(server);
+  for (let i = 0; i < 6; i++) {
+    await server.call('joinLobby', server.connect(), { lobbyCode: lobby.code, playerName: `Extra ${i}` });
+  }
+  // Capacity follows the selected game, so only a lobby restored or seated under
+  // another game's limit can get here
+  lobby.gameType = 'connections';
+
+  assert.equal(lobby.players.size, 9);
+  assert.deepEqual(await server.call('startGame', host), {
+    success: false,
+    error: 'Connections allows at most 8 players'
+  });
+  assert.equal(lobby.state, 'waiting');
+});
+
+test('reconnecting rotates the session token, so the old one cannot be used again', async () => {
+  const server = createServer();
+  const { host } = await createLobby(server);
+
+  const issued = host.emitted.find(({ event }) => event === 'session_token').payload;
+  const credentials = verifySessionToken(issued.token);
+  assert.ok(credentials);
+
+  const resumed = server.connect();
+  server.manager.attemptReconnection(resumed, credentials);
+  const rotated = resumed.emitted.find(({ event }) => event === 'session_token')?.payload;
+  assert.ok(rotated);
+  assert.equal(rotated.playerId, issued.playerId);
+  assert.notEqual(rotated.token, issued.token);
+  assert.equal(resumed.data.playerId, issued.playerId);
+
+  const replayed = server.connect();
+  server.manager.attemptReconnection(replayed, credentials);
+  assert.equal(replayed.emitted.find(({ event }) => event === 'session_invalid')?.payload.reason, 'reused');
+  assert.equal(replayed.data.playerId, undefined);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MatchHistory } from '../src/history/MatchHistory.js';
+
+const match = (gameId, gameType, endedAt, names) => ({
+  gameId,
+  gameType,
+  endedAt,
+  players: names.map(name => ({ id: name.toLowerCase(), name }))
+});
+
+function createHistory() {
+  const history = new MatchHistory(null);
+  history.record(match('g1', 'imposter', 1000, ['Ann', 'Bob', 'Cy']));
+  history.record(match('g2', 'connections', 2000, ['Ann', 'Dee']));
+  history.record(match('g3', 'imposter', 3000, ['Bob', 'Cy', 'Dee']));
+  history.record(match('g4', 'imposter', 4000, ['Ann', 'Cy', 'Dee']));
+  return history;
+}
+
+const ids = (result) => result.matches.map(m => m.gameId);
+
+test('lists matches newest first', () => {
+  const result = createHistory().query({ limit: 10 });
+  assert.equal(result.total, 4);
+  assert.deepEqual(ids(result), ['g4', 'g3', 'g2', 'g1']);
+});
+
+test('filters by player name, case-insensitively', () => {
+  assert.deepEqual(ids(createHistory().query({ player: 'ann', limit: 10 })), ['g4', 'g2', 'g1']);
+  assert.deepEqual(ids(createHistory().query({ player: 'Nobody', limit: 10 })), []);
+});
+
+test('filters by game type and end time, bounds inclusive', () => {
+  const history = createHistory();
+  assert.deepEqual(ids(history.query({ gameType: 'imposter', limit: 10 })), ['g4', 'g3', 'g1']);
+  assert.deepEqual(ids(history.query({ from: 2000, to: 3000, limit: 10 })), ['g3', 'g2']);
+  assert.deepEqual(ids(history.query({ gameType: 'imposter', player: 'Dee', from: 3500, limit: 10 })), ['g4']);
+});
+
+test('pages with limit and offset, reporting the total before paging', () => {
+  const result = createHistory().query({ limit: 2, offset: 1 });
+  assert.equal(result.total, 4);
+  assert.deepEqual(ids(result), ['g3', 'g2']);
+});
+
+test('without a file nothing is written and flush resolves', async () => {
+  const history = createHistory();
+  await history.flush();
+  await history.load();
+  assert.equal(history.matches.length, 4);
+});
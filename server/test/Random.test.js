@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Random } from '../src/games/Random.js';
+
+const draws = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('the same seed gives the same sequence', () => {
+  assert.deepEqual(draws(new Random(42), 20), draws(new Random(42), 20));
+  assert.notDeepEqual(draws(new Random(42), 20), draws(new Random(43), 20));
+});
+
+test('next() stays in [0, 1) and int() in [0, max)', () => {
+  const random = new Random(7);
+  for (let i = 0; i < 1000; i++) {
+    const value = random.next();
+    assert.ok(value >= 0 && value < 1);
+
+    const int = random.int(6);
+    assert.ok(Number.isInteger(int) && int >= 0 && int < 6);
+  }
+});
+
+test('shuffle returns a permutation and leaves its input alone', () => {
+  const items = Array.from({ length: 16 }, (_, i) => i);
+  const shuffled = new Random(1).shuffle(items);
+
+  assert.notEqual(shuffled, items);
+  assert.deepEqual(items, Array.from({ length: 16 }, (_, i) => i));
+  assert.deepEqual([...shuffled].sort((a, b) => a - b), items);
+  assert.deepEqual(new Random(1).shuffle(items), shuffled);
+});
+
+test('a restored Random continues the sequence where it left off', () => {
+  const random = new Random(99);
+  draws(random, 5);
+
+  const restored = Random.fromSnapshot(random.serialize());
+  assert.equal(restored.seed, 99);
+  assert.deepEqual(draws(restored, 10), draws(random, 10));
+});
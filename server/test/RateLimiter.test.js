@@ -0,0 +1,106 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenBucket } from '../src/ratelimit/TokenBucket.js';
+import { RateLimiter } from '../src/ratelimit/RateLimiter.js';
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'Date'] }));
+afterEach(() => mock.timers.reset());
+
+test('a token bucket allows a burst up to its capacity, then refills over time', () => {
+  const bucket = new TokenBucket(3, 2);
+
+  assert.equal(bucket.tryTake(), true);
+  assert.equal(bucket.tryTake(), true);
+  assert.equal(bucket.tryTake(), true);
+  assert.equal(bucket.tryTake(), false);
+  assert.equal(bucket.msUntilToken(), 500);
+
+  mock.timers.tick(500);
+  assert.equal(bucket.tryTake(), true);
+  assert.equal(bucket.tryTake(), false);
+
+  // Never refills past capacity
+  mock.timers.tick(60 * 1000);
+  assert.equal(bucket.msUntilToken(), 0);
+  assert.equal(bucket.tokens, 3);
+});
+
+function createLimiter(limits, options = {}) {
+  const onAbuse = mock.fn();
+  const limiter = new RateLimiter(event => limits[event], {
+    maxViolations: 3,
+    violationWindowMs: 1000,
+    onAbuse,
+    ...options
+  });
+  return { limiter, onAbuse };
+}
+
+test('drops events over budget and keeps a separate budget per event', () => {
+  const { limiter } = createLimiter({ chat: { capacity: 2, refillPerSecond: 1 }, move: { capacity: 1, refillPerSecond: 1 } });
+  const deliver = mock.fn();
+
+  assert.equal(limiter.handle('chat', deliver), true);
+  assert.equal(limiter.handle('chat', deliver), true);
+  assert.equal(limiter.handle('chat', deliver), false);
+  assert.equal(limiter.handle('move', deliver), true);
+  assert.equal(deliver.mock.callCount(), 3);
+});
+
+test('too many drops within the window marks the client abusive', () => {
+  const { limiter, onAbuse } = createLimiter({ chat: { capacity: 1, refillPerSecond: 1 } });
+  const deliver = mock.fn();
+
+  limiter.handle('chat', deliver);
+  limiter.handle('chat', deliver);
+  limiter.handle('chat', deliver);
+  assert.equal(onAbuse.mock.callCount(), 0);
+  limiter.handle('chat', deliver);
+
+  assert.equal(onAbuse.mock.callCount(), 1);
+  assert.deepEqual(onAbuse.mock.calls[0].arguments, ['chat', 3]);
+
+  // Nothing gets through once abusive, even with a refilled bucket
+  mock.timers.tick(10 * 1000);
+  assert.equal(limiter.handle('chat', deliver), false);
+  assert.equal(deliver.mock.callCount(), 1);
+});
+
+test('drops older than the violation window are forgotten', () => {
+  const { limiter, onAbuse } = createLimiter({ chat: { capacity: 1, refillPerSecond: 0.001 } });
+  const deliver = () => {};
+
+  limiter.handle('chat', deliver);
+  limiter.handle('chat', deliver);
+  limiter.handle('chat', deliver);
+  mock.timers.tick(1001);
+  limiter.handle('chat', deliver);
+
+  assert.equal(onAbuse.mock.callCount(), 0);
+});
+
+test('coalescing events deliver only the latest message once a token frees up', () => {
+  const { limiter, onAbuse } = createLimiter({ cursor: { capacity: 1, refillPerSecond: 10, coalesce: true } });
+  const delivered = [];
+
+  for (const position of [1, 2, 3, 4]) {
+    assert.equal(limiter.handle('cursor', () => delivered.push(position)), true);
+  }
+  assert.deepEqual(delivered, [1]);
+
+  mock.timers.tick(100);
+  assert.deepEqual(delivered, [1, 4]);
+  assert.equal(onAbuse.mock.callCount(), 0);
+});
+
+test('dispose cancels a pending coalesced delivery', () => {
+  const { limiter } = createLimiter({ cursor: { capacity: 1, refillPerSecond: 10, coalesce: true } });
+  const deliver = mock.fn();
+
+  limiter.handle('cursor', deliver);
+  limiter.handle('cursor', deliver);
+  limiter.dispose();
+  mock.timers.tick(1000);
+
+  assert.equal(deliver.mock.callCount(), 1);
+});
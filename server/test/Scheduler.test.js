@@ -0,0 +1,116 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { Scheduler } = await import('../src/lobby/Scheduler.js');
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'Date'] }));
+afterEach(() => mock.timers.reset());
+
+test('runs a task once its delay has passed', () => {
+  const scheduler = new Scheduler('test');
+  const task = mock.fn();
+  scheduler.schedule('task', 1000, task);
+
+  mock.timers.tick(999);
+  assert.equal(task.mock.callCount(), 0);
+  mock.timers.tick(1);
+  assert.equal(task.mock.callCount(), 1);
+  assert.deepEqual(scheduler.pending(), []);
+});
+
+test('a paused task keeps the time it had left', () => {
+  const scheduler = new Scheduler('test');
+  const task = mock.fn();
+  scheduler.schedule('task', 1000, task);
+
+  mock.timers.tick(400);
+  scheduler.pause();
+  mock.timers.tick(5000);
+  assert.equal(task.mock.callCount(), 0);
+  assert.equal(scheduler.pending()[0].remaining, 600);
+  assert.equal(scheduler.pending()[0].paused, true);
+
+  scheduler.resume();
+  mock.timers.tick(599);
+  assert.equal(task.mock.callCount(), 0);
+  mock.timers.tick(1);
+  assert.equal(task.mock.callCount(), 1);
+});
+
+test('tasks scheduled while paused wait for resume', () => {
+  const scheduler = new Scheduler('test');
+  const task = mock.fn();
+  scheduler.pause();
+  scheduler.schedule('task', 100, task);
+
+  mock.timers.tick(1000);
+  assert.equal(task.mock.callCount(), 0);
+
+  scheduler.resume();
+  mock.timers.tick(100);
+  assert.equal(task.mock.callCount(), 1);
+});
+
+test('cancel and cancelByName drop pending tasks', () => {
+  const scheduler = new Scheduler('test');
+  const kept = mock.fn();
+  const cancelled = mock.fn();
+  const named = mock.fn();
+
+  scheduler.schedule('kept', 100, kept);
+  scheduler.cancel(scheduler.schedule('cancelled', 100, cancelled));
+  scheduler.schedule('named', 100, named);
+  scheduler.schedule('named', 200, named);
+  assert.equal(scheduler.has('named'), true);
+  scheduler.cancelByName('named');
+  assert.equal(scheduler.has('named'), false);
+
+  mock.timers.tick(1000);
+  assert.equal(kept.mock.callCount(), 1);
+  assert.equal(cancelled.mock.callCount(), 0);
+  assert.equal(named.mock.callCount(), 0);
+});
+
+test('pending() lists tasks from child schedulers, soonest first', () => {
+  const scheduler = new Scheduler('lobby');
+  const child = scheduler.child('game');
+  scheduler.schedule('later', 300, () => {});
+  child.schedule('sooner', 100, () => {});
+
+  assert.deepEqual(scheduler.pending().map(({ scheduler, task }) => `${scheduler}:${task}`), [
+    'lobby/game:sooner',
+    'lobby:later'
+  ]);
+});
+
+test('closing a child cancels its tasks and refuses new ones, leaving the parent alone', () => {
+  const scheduler = new Scheduler('lobby');
+  const child = scheduler.child('game');
+  const parentTask = mock.fn();
+  const childTask = mock.fn();
+  scheduler.schedule('parent', 100, parentTask);
+  child.schedule('child', 100, childTask);
+
+  child.close();
+  assert.equal(child.schedule('late', 100, childTask), null);
+  assert.equal(scheduler.children.has(child), false);
+
+  mock.timers.tick(1000);
+  assert.equal(parentTask.mock.callCount(), 1);
+  assert.equal(childTask.mock.callCount(), 0);
+});
+
+test('closing a parent closes its children', () => {
+  const scheduler = new Scheduler('lobby');
+  const child = scheduler.child('game');
+  const childTask = mock.fn();
+  child.schedule('child', 100, childTask);
+
+  scheduler.close();
+  assert.equal(child.closed, true);
+
+  mock.timers.tick(1000);
+  assert.equal(childTask.mock.callCount(), 0);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SESSION_SECRET = 'test-secret';
+
+const { createSessionToken, verifySessionToken, newSessionId, newTokenNonce } = await import('../src/lobby/sessionToken.js');
+
+test('a token the server signed verifies back to its session and nonce', () => {
+  const sessionId = newSessionId();
+  const nonce = newTokenNonce();
+
+  assert.deepEqual(verifySessionToken(createSessionToken(sessionId, nonce)), { sessionId, nonce });
+});
+
+test('tampered tokens are rejected', () => {
+  const sessionId = newSessionId();
+  const token = createSessionToken(sessionId, newTokenNonce());
+  const [, , signature] = token.split('.');
+
+  // Someone else's session id under this token's signature
+  assert.equal(verifySessionToken(`${newSessionId()}.${newTokenNonce()}.${signature}`), null);
+  // A different nonce under the same session id
+  assert.equal(verifySessionToken(`${sessionId}.${newTokenNonce()}.${signature}`), null);
+  assert.equal(verifySessionToken(`${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`), null);
+});
+
+test('malformed tokens are rejected', () => {
+  assert.equal(verifySessionToken(undefined), null);
+  assert.equal(verifySessionToken(42), null);
+  assert.equal(verifySessionToken(''), null);
+  assert.equal(verifySessionToken('only.two'), null);
+  assert.equal(verifySessionToken('a.b.c.d'), null);
+});
+
+test('every nonce is different', () => {
+  const nonces = new Set(Array.from({ length: 100 }, () => newTokenNonce()));
+  assert.equal(nonces.size, 100);
+});
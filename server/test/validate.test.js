@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate } from '../src/validation/validate.js';
+
+test('a valid payload has no errors', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 5 },
+      count: { type: 'number', integer: true, min: 1, max: 3 },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+      note: { type: 'string', optional: true }
+    }
+  };
+
+  assert.deepEqual(validate(schema, { name: 'Ann', count: 2, tags: ['a'] }), []);
+});
+
+test('missing required values are reported, optional ones are not', () => {
+  assert.deepEqual(validate({ type: 'string' }, undefined), ['payload is required']);
+  assert.deepEqual(validate({ type: 'string', optional: true }, null), []);
+});
+
+test('wrong types are reported with their path', () => {
+  const schema = { type: 'object', properties: { player: { type: 'object', properties: { id: { type: 'string' } } } } };
+
+  assert.deepEqual(validate(schema, { player: { id: 5 } }), ['payload.player.id must be a string']);
+  assert.deepEqual(validate(schema, []), ['payload must be an object']);
+  assert.deepEqual(validate({ type: 'number' }, NaN), ['payload must be a number']);
+  assert.deepEqual(validate({ type: 'boolean' }, 'true'), ['payload must be a boolean']);
+});
+
+test('string, number and enum constraints', () => {
+  assert.deepEqual(validate({ type: 'string', notBlank: true }, '   '), ['payload must not be blank']);
+  assert.deepEqual(validate({ type: 'string', maxLength: 3 }, 'abcd'), ['payload must be at most 3 characters']);
+  assert.deepEqual(validate({ type: 'string', pattern: /^[A-Z]+$/ }, 'abc'), ['payload has an invalid format']);
+  assert.deepEqual(validate({ type: 'number', integer: true }, 1.5), ['payload must be an integer']);
+  assert.deepEqual(validate({ type: 'number', min: 2, max: 4 }, 5), ['payload must be <= 4']);
+  assert.deepEqual(validate({ type: 'string', enum: ['a', 'b'] }, 'c'), ['payload must be one of: a, b']);
+});
+
+test('oversized arrays and objects are rejected without walking them', () => {
+  const items = { type: 'array', maxItems: 2, items: { type: 'string' } };
+  assert.deepEqual(validate(items, [1, 2, 3]), ['payload must have at most 2 items']);
+
+  const keys = { type: 'object', maxKeys: 1, properties: { a: { type: 'string' } } };
+  assert.deepEqual(validate(keys, { a: 1, b: 2 }), ['payload must have at most 1 keys']);
+});
+
+test('array items are checked one by one', () => {
+  const schema = { type: 'array', items: { type: 'number' } };
+  assert.deepEqual(validate(schema, [1, 'two', 3, 'four']), [
+    'payload[1] must be a number',
+    'payload[3] must be a number'
+  ]);
+});
+
+test('an unknown schema type is a programming error', () => {
+  assert.throws(() => validate({ type: 'date' }, 'today'), /Unknown schema type: date/);
+});